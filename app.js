@@ -1,7 +1,46 @@
 // Binomial Tree Option Pricing - Main Application
 
 let renderer = null;
+let convergenceChart = null;
+let distributionChart = null;
+let payoffChart = null;
+let exerciseBoundaryChart = null;
+let sensitivityChart = null;
+let currentSweep = null;
+let strategyLegs = [];
+let currentView = null;
+let currentPricing = null;
+let pinnedPricing = null;
 let currentTheme = 'bloomberg';
+let themePalette = null;
+let pricingBusyTimer = null;
+
+/**
+ * Background pricing, one client per kind of job so a sweep does not cancel
+ * the tree or the other way round
+ */
+const pricing = {
+    view: new PricingClient(),
+    sweep: new PricingClient(),
+    impliedVol: new PricingClient()
+};
+
+/**
+ * Quick recalculations finish before the busy state shows, so typing does not flicker
+ */
+const PRICING_BUSY_DELAY = 200;
+
+/**
+ * Headline outputs set side by side when comparing with a pinned result: [key, label, decimals]
+ */
+const COMPARISON_OUTPUTS = [
+    ['price', 'Option Price', 4],
+    ['delta', 'Delta', 4],
+    ['gamma', 'Gamma', 6],
+    ['theta', 'Theta', 4],
+    ['vega', 'Vega', 4],
+    ['rho', 'Rho', 4]
+];
 
 // DOM Elements
 const elements = {
@@ -12,19 +51,138 @@ const elements = {
     volatility: null,
     timeToMaturity: null,
     numSteps: null,
+    pricingSteps: null,
+    cashDividends: null,
+    latticeModel: null,
+    bermudanInputs: null,
+    bermudanDates: null,
+    bermudanEvery: null,
+    strategyEnabled: null,
+    strategyBuilder: null,
+    positionsList: null,
+    addLegBtn: null,
+    netPremium: null,
+    netDelta: null,
+    netGamma: null,
+    treeView: null,
+    payoffChart: null,
+    strategyPayoffSection: null,
+    payoffType: null,
+    payoffCash: null,
+    payoffTrigger: null,
+    payoffPower: null,
+    payoffExpression: null,
+    payoffError: null,
+    barrierType: null,
+    barrierLevel: null,
+    barrierRebate: null,
+    termInterpolation: null,
+    termRates: null,
+    termYields: null,
+    termVols: null,
+    termNote: null,
+    latticeTitle: null,
+    latticeNote: null,
+    latticeError: null,
+    latticeValues: null,
     crrU: null,
     crrD: null,
     crrP: null,
+    crrPLabel: null,
+    crrPm: null,
+    crrPd: null,
     crrDt: null,
     optionPrice: null,
+    benchmarkValues: null,
+    bsPrice: null,
+    bsError: null,
+    bsRelError: null,
     delta: null,
     gamma: null,
+    theta: null,
+    vega: null,
+    rho: null,
+    pricingNote: null,
+    pricingStatus: null,
+    pinResultBtn: null,
+    unpinResultBtn: null,
+    exportComparisonBtn: null,
+    comparisonTables: null,
+    comparisonResults: null,
+    comparisonInputs: null,
+    comparisonNote: null,
+    marketPrice: null,
+    solveIvBtn: null,
+    applyIvBtn: null,
+    impliedVol: null,
+    ivIterations: null,
+    ivError: null,
     earlyExerciseInfo: null,
     earlyExerciseSection: null,
+    legendChange: null,
+    legendProbability: null,
+    legendDividend: null,
+    legendBarrier: null,
+    legendBermudan: null,
+    legendBoundary: null,
+    treeColoring: null,
+    playBtn: null,
+    stepBtn: null,
+    playbackSpeed: null,
+    stopPlaybackBtn: null,
+    playbackStatus: null,
     treeCanvas: null,
+    nodeInspector: null,
+    treeMinimap: null,
+    fitViewBtn: null,
+    exerciseBoundarySection: null,
+    exerciseBoundaryNote: null,
+    exerciseBoundaryChart: null,
+    convergenceChart: null,
+    convergenceMaxN: null,
+    distributionChart: null,
+    distributionNote: null,
+    sensitivityChart: null,
+    sweepOutput: null,
+    sweepMode: null,
+    runSweepBtn: null,
+    exportSweepBtn: null,
+    sweepStatus: null,
+    sweepXKey: null,
+    sweepXFrom: null,
+    sweepXTo: null,
+    sweepXCount: null,
+    sweepYKey: null,
+    sweepYFrom: null,
+    sweepYTo: null,
+    sweepYCount: null,
+    sweepSteps: null,
+    sweepError: null,
     themeSelector: null,
+    editThemeBtn: null,
+    themeEditor: null,
+    themeTreeColors: null,
+    themePageColors: null,
+    themeName: null,
+    saveThemeBtn: null,
+    deleteThemeBtn: null,
+    exportThemeBtn: null,
+    importThemeBtn: null,
+    closeThemeBtn: null,
+    themeFile: null,
+    themeError: null,
     exportFormat: null,
-    exportBtn: null
+    exportBtn: null,
+    printReport: null,
+    scenarioName: null,
+    scenarioLibrary: null,
+    saveScenarioBtn: null,
+    deleteScenarioBtn: null,
+    copyLinkBtn: null,
+    exportScenarioBtn: null,
+    importScenarioBtn: null,
+    scenarioFile: null,
+    scenarioError: null
 };
 
 function init() {
@@ -36,30 +194,182 @@ function init() {
     elements.volatility = document.getElementById('volatility');
     elements.timeToMaturity = document.getElementById('timeToMaturity');
     elements.numSteps = document.getElementById('numSteps');
+    elements.pricingSteps = document.getElementById('pricingSteps');
+    elements.cashDividends = document.getElementById('cashDividends');
+    elements.latticeModel = document.getElementById('latticeModel');
+    elements.bermudanInputs = document.getElementById('bermudanInputs');
+    elements.bermudanDates = document.getElementById('bermudanDates');
+    elements.bermudanEvery = document.getElementById('bermudanEvery');
+    elements.strategyEnabled = document.getElementById('strategyEnabled');
+    elements.strategyBuilder = document.getElementById('strategyBuilder');
+    elements.positionsList = document.getElementById('positionsList');
+    elements.addLegBtn = document.getElementById('addLegBtn');
+    elements.netPremium = document.getElementById('netPremium');
+    elements.netDelta = document.getElementById('netDelta');
+    elements.netGamma = document.getElementById('netGamma');
+    elements.treeView = document.getElementById('treeView');
+    elements.payoffChart = document.getElementById('payoffChart');
+    elements.strategyPayoffSection = document.getElementById('strategyPayoffSection');
+    elements.payoffType = document.getElementById('payoffType');
+    elements.payoffCash = document.getElementById('payoffCash');
+    elements.payoffTrigger = document.getElementById('payoffTrigger');
+    elements.payoffPower = document.getElementById('payoffPower');
+    elements.payoffExpression = document.getElementById('payoffExpression');
+    elements.payoffError = document.getElementById('payoffError');
+    elements.barrierType = document.getElementById('barrierType');
+    elements.barrierLevel = document.getElementById('barrierLevel');
+    elements.barrierRebate = document.getElementById('barrierRebate');
+    elements.termInterpolation = document.getElementById('termInterpolation');
+    elements.termRates = document.getElementById('termRates');
+    elements.termYields = document.getElementById('termYields');
+    elements.termVols = document.getElementById('termVols');
+    elements.termNote = document.getElementById('termNote');
+    elements.latticeTitle = document.getElementById('latticeTitle');
+    elements.latticeNote = document.getElementById('latticeNote');
+    elements.latticeError = document.getElementById('latticeError');
+    elements.latticeValues = document.getElementById('latticeValues');
     elements.crrU = document.getElementById('crrU');
     elements.crrD = document.getElementById('crrD');
     elements.crrP = document.getElementById('crrP');
+    elements.crrPLabel = document.getElementById('crrPLabel');
+    elements.crrPm = document.getElementById('crrPm');
+    elements.crrPd = document.getElementById('crrPd');
     elements.crrDt = document.getElementById('crrDt');
     elements.optionPrice = document.getElementById('optionPrice');
+    elements.benchmarkValues = document.getElementById('benchmarkValues');
+    elements.bsPrice = document.getElementById('bsPrice');
+    elements.bsError = document.getElementById('bsError');
+    elements.bsRelError = document.getElementById('bsRelError');
     elements.delta = document.getElementById('delta');
     elements.gamma = document.getElementById('gamma');
+    elements.theta = document.getElementById('theta');
+    elements.vega = document.getElementById('vega');
+    elements.rho = document.getElementById('rho');
+    elements.pricingNote = document.getElementById('pricingNote');
+    elements.pricingStatus = document.getElementById('pricingStatus');
+    elements.pinResultBtn = document.getElementById('pinResultBtn');
+    elements.unpinResultBtn = document.getElementById('unpinResultBtn');
+    elements.exportComparisonBtn = document.getElementById('exportComparisonBtn');
+    elements.comparisonTables = document.getElementById('comparisonTables');
+    elements.comparisonResults = document.getElementById('comparisonResults');
+    elements.comparisonInputs = document.getElementById('comparisonInputs');
+    elements.comparisonNote = document.getElementById('comparisonNote');
+    elements.marketPrice = document.getElementById('marketPrice');
+    elements.solveIvBtn = document.getElementById('solveIvBtn');
+    elements.applyIvBtn = document.getElementById('applyIvBtn');
+    elements.impliedVol = document.getElementById('impliedVol');
+    elements.ivIterations = document.getElementById('ivIterations');
+    elements.ivError = document.getElementById('ivError');
     elements.earlyExerciseInfo = document.getElementById('earlyExerciseInfo');
     elements.earlyExerciseSection = document.getElementById('earlyExerciseSection');
+    elements.legendChange = document.getElementById('legendChange');
+    elements.legendProbability = document.getElementById('legendProbability');
+    elements.legendDividend = document.getElementById('legendDividend');
+    elements.legendBarrier = document.getElementById('legendBarrier');
+    elements.legendBermudan = document.getElementById('legendBermudan');
+    elements.legendBoundary = document.getElementById('legendBoundary');
+    elements.treeColoring = document.getElementById('treeColoring');
+    elements.playBtn = document.getElementById('playBtn');
+    elements.stepBtn = document.getElementById('stepBtn');
+    elements.playbackSpeed = document.getElementById('playbackSpeed');
+    elements.stopPlaybackBtn = document.getElementById('stopPlaybackBtn');
+    elements.playbackStatus = document.getElementById('playbackStatus');
     elements.treeCanvas = document.getElementById('treeCanvas');
+    elements.nodeInspector = document.getElementById('nodeInspector');
+    elements.treeMinimap = document.getElementById('treeMinimap');
+    elements.fitViewBtn = document.getElementById('fitViewBtn');
+    elements.exerciseBoundarySection = document.getElementById('exerciseBoundarySection');
+    elements.exerciseBoundaryNote = document.getElementById('exerciseBoundaryNote');
+    elements.exerciseBoundaryChart = document.getElementById('exerciseBoundaryChart');
+    elements.convergenceChart = document.getElementById('convergenceChart');
+    elements.convergenceMaxN = document.getElementById('convergenceMaxN');
+    elements.distributionChart = document.getElementById('distributionChart');
+    elements.distributionNote = document.getElementById('distributionNote');
+    elements.sensitivityChart = document.getElementById('sensitivityChart');
+    elements.sweepOutput = document.getElementById('sweepOutput');
+    elements.sweepMode = document.getElementById('sweepMode');
+    elements.runSweepBtn = document.getElementById('runSweepBtn');
+    elements.exportSweepBtn = document.getElementById('exportSweepBtn');
+    elements.sweepStatus = document.getElementById('sweepStatus');
+    elements.sweepXKey = document.getElementById('sweepXKey');
+    elements.sweepXFrom = document.getElementById('sweepXFrom');
+    elements.sweepXTo = document.getElementById('sweepXTo');
+    elements.sweepXCount = document.getElementById('sweepXCount');
+    elements.sweepYKey = document.getElementById('sweepYKey');
+    elements.sweepYFrom = document.getElementById('sweepYFrom');
+    elements.sweepYTo = document.getElementById('sweepYTo');
+    elements.sweepYCount = document.getElementById('sweepYCount');
+    elements.sweepSteps = document.getElementById('sweepSteps');
+    elements.sweepError = document.getElementById('sweepError');
     elements.themeSelector = document.getElementById('themeSelect');
+    elements.editThemeBtn = document.getElementById('editThemeBtn');
+    elements.themeEditor = document.getElementById('themeEditor');
+    elements.themeTreeColors = document.getElementById('themeTreeColors');
+    elements.themePageColors = document.getElementById('themePageColors');
+    elements.themeName = document.getElementById('themeName');
+    elements.saveThemeBtn = document.getElementById('saveThemeBtn');
+    elements.deleteThemeBtn = document.getElementById('deleteThemeBtn');
+    elements.exportThemeBtn = document.getElementById('exportThemeBtn');
+    elements.importThemeBtn = document.getElementById('importThemeBtn');
+    elements.closeThemeBtn = document.getElementById('closeThemeBtn');
+    elements.themeFile = document.getElementById('themeFile');
+    elements.themeError = document.getElementById('themeError');
     elements.exportFormat = document.getElementById('exportFormat');
     elements.exportBtn = document.getElementById('exportBtn');
+    elements.printReport = document.getElementById('printReport');
+    elements.scenarioName = document.getElementById('scenarioName');
+    elements.scenarioLibrary = document.getElementById('scenarioLibrary');
+    elements.saveScenarioBtn = document.getElementById('saveScenarioBtn');
+    elements.deleteScenarioBtn = document.getElementById('deleteScenarioBtn');
+    elements.copyLinkBtn = document.getElementById('copyLinkBtn');
+    elements.exportScenarioBtn = document.getElementById('exportScenarioBtn');
+    elements.importScenarioBtn = document.getElementById('importScenarioBtn');
+    elements.scenarioFile = document.getElementById('scenarioFile');
+    elements.scenarioError = document.getElementById('scenarioError');
     
     // Initialize renderer
-    renderer = initTreeRenderer(elements.treeCanvas);
+    renderer = initTreeRenderer(elements.treeCanvas, elements.treeMinimap);
+    convergenceChart = initChart(ConvergenceChart, elements.convergenceChart);
+    distributionChart = initChart(TerminalDistributionChart, elements.distributionChart);
+    payoffChart = initChart(PayoffChart, elements.payoffChart);
+    exerciseBoundaryChart = initChart(ExerciseBoundaryChart, elements.exerciseBoundaryChart);
+    sensitivityChart = initChart(SensitivityChart, elements.sensitivityChart);
+    
+    // Sweepable inputs; the second axis is optional
+    const inputOptions = Object.entries(SWEEP_INPUTS)
+        .map(([key, spec]) => `<option value="${key}">${spec.name}</option>`)
+        .join('');
+    elements.sweepXKey.innerHTML = inputOptions;
+    elements.sweepYKey.innerHTML = '<option value="">None</option>' + inputOptions;
+    elements.sweepXKey.value = 'S';
+    elements.sweepYKey.value = 'sigma';
+    
+    // One colour picker per themable colour
+    const colorInputs = (colors, attribute) => Object.entries(colors)
+        .map(([key, label]) => `<label class="theme-color"><input type="color" ${attribute}="${key}"><span>${label}</span></label>`)
+        .join('');
+    elements.themeTreeColors.innerHTML = colorInputs(THEME_TREE_COLORS, 'data-tree-color');
+    elements.themePageColors.innerHTML = colorInputs(THEME_PAGE_COLORS, 'data-page-color');
     
     // Set up event listeners
     setupEventListeners();
     
-    // Load saved theme
+    // Load saved theme, which may be a custom one
+    renderThemeOptions();
     const savedTheme = localStorage.getItem('binomial-tree-theme') || 'bloomberg';
     setTheme(savedTheme);
     
+    // A scenario in the link replaces the default inputs
+    renderScenarioLibrary();
+    try {
+        const linked = decodeScenarioQuery(window.location.search);
+        if (linked) {
+            applyScenario(linked);
+        }
+    } catch (e) {
+        showScenarioError(`Link scenario ignored: ${e.message}`);
+    }
+    
     // Initial calculation
     calculate();
 }
@@ -73,13 +383,32 @@ function setupEventListeners() {
         elements.dividendYield,
         elements.volatility,
         elements.timeToMaturity,
-        elements.numSteps
+        elements.numSteps,
+        elements.pricingSteps,
+        elements.cashDividends,
+        elements.bermudanDates,
+        elements.bermudanEvery,
+        elements.payoffCash,
+        elements.payoffTrigger,
+        elements.payoffPower,
+        elements.payoffExpression,
+        elements.barrierLevel,
+        elements.barrierRebate,
+        elements.termRates,
+        elements.termYields,
+        elements.termVols,
+        elements.convergenceMaxN
     ];
     
     inputs.forEach(input => {
         input.addEventListener('input', debounce(calculate, 150));
     });
     
+    elements.latticeModel.addEventListener('change', calculate);
+    elements.barrierType.addEventListener('change', calculate);
+    elements.payoffType.addEventListener('change', calculate);
+    elements.termInterpolation.addEventListener('change', calculate);
+    
     // Radio buttons for option type and exercise style
     document.querySelectorAll('input[name="optionType"]').forEach(radio => {
         radio.addEventListener('change', calculate);
@@ -92,86 +421,1350 @@ function setupEventListeners() {
     // Theme selector
     elements.themeSelector.addEventListener('change', (e) => {
         setTheme(e.target.value);
+        if (isThemeEditorOpen()) {
+            openThemeEditor();
+        }
+    });
+    
+    // Theme editor: colour changes preview at once, and only Save keeps them
+    elements.editThemeBtn.addEventListener('click', () => {
+        if (isThemeEditorOpen()) {
+            closeThemeEditor();
+        } else {
+            openThemeEditor();
+        }
+    });
+    elements.themeEditor.addEventListener('input', (e) => {
+        if (e.target.type === 'color') {
+            applyThemePalette(getEditorPalette());
+        }
+    });
+    elements.saveThemeBtn.addEventListener('click', saveCustomTheme);
+    elements.deleteThemeBtn.addEventListener('click', deleteCustomTheme);
+    elements.exportThemeBtn.addEventListener('click', exportThemeJSON);
+    elements.importThemeBtn.addEventListener('click', () => elements.themeFile.click());
+    elements.closeThemeBtn.addEventListener('click', closeThemeEditor);
+    elements.themeFile.addEventListener('change', () => {
+        if (elements.themeFile.files.length > 0) {
+            importThemeJSON(elements.themeFile.files[0]);
+        }
+        elements.themeFile.value = '';
     });
     
     // Export button
     elements.exportBtn.addEventListener('click', exportData);
+    
+    // Strategy builder
+    elements.strategyEnabled.addEventListener('change', calculate);
+    elements.treeView.addEventListener('change', calculate);
+    elements.addLegBtn.addEventListener('click', () => {
+        const K = parseFloat(elements.strikePrice.value) || 100;
+        strategyLegs.push({ side: 'long', type: 'call', strike: K, quantity: 1 });
+        renderStrategyLegs();
+        calculate();
+    });
+    document.querySelectorAll('.btn-strategy[data-preset]').forEach(button => {
+        button.addEventListener('click', () => {
+            strategyLegs = createStrategyLegs(button.dataset.preset, parseFloat(elements.strikePrice.value) || 100);
+            elements.treeView.value = 'combined';
+            renderStrategyLegs();
+            calculate();
+        });
+    });
+    
+    // Implied volatility solver
+    elements.solveIvBtn.addEventListener('click', solveImpliedVol);
+    elements.applyIvBtn.addEventListener('click', applyImpliedVol);
+    
+    // Pinned result to compare later calculations with
+    elements.pinResultBtn.addEventListener('click', pinResult);
+    elements.unpinResultBtn.addEventListener('click', unpinResult);
+    elements.exportComparisonBtn.addEventListener('click', exportComparisonCSV);
+    elements.treeColoring.addEventListener('change', () => {
+        updateComparison();
+        updateProbabilityOverlay();
+        renderer.render();
+        updateNodeInspector(getInspectedNode());
+    });
+    
+    // Node inspector: hover previews a node, click selects it (or clears on empty space)
+    renderer.onNodeHover = node => updateNodeInspector(getInspectedNode(node));
+    renderer.onNodeSelect = node => updateNodeInspector(getInspectedNode(node));
+    elements.fitViewBtn.addEventListener('click', () => renderer.fitToView());
+    
+    // Backward-induction playback on the tree
+    renderer.onPlaybackChange = updatePlayback;
+    renderer.setPlaybackSpeed(parseFloat(elements.playbackSpeed.value));
+    elements.playBtn.addEventListener('click', () => {
+        if (renderer.playback && renderer.playback.playing) {
+            renderer.pausePlayback();
+        } else {
+            renderer.playPlayback();
+        }
+    });
+    elements.stepBtn.addEventListener('click', () => renderer.stepPlayback());
+    elements.stopPlaybackBtn.addEventListener('click', () => renderer.stopPlayback());
+    elements.playbackSpeed.addEventListener('change', () => {
+        renderer.setPlaybackSpeed(parseFloat(elements.playbackSpeed.value));
+    });
+    
+    // Sensitivity sweeps run on demand and the Run button cancels a running one;
+    // output and display changes only redraw
+    elements.runSweepBtn.addEventListener('click', () => {
+        if (pricing.sweep.busy) {
+            cancelSensitivity();
+        } else {
+            runSensitivity();
+        }
+    });
+    elements.exportSweepBtn.addEventListener('click', exportSensitivityCSV);
+    elements.sweepOutput.addEventListener('change', renderSensitivity);
+    elements.sweepMode.addEventListener('change', renderSensitivity);
+    
+    // Scenario library, links and files
+    elements.saveScenarioBtn.addEventListener('click', saveScenario);
+    elements.deleteScenarioBtn.addEventListener('click', deleteScenario);
+    elements.scenarioLibrary.addEventListener('change', loadSavedScenario);
+    elements.copyLinkBtn.addEventListener('click', copyScenarioLink);
+    elements.exportScenarioBtn.addEventListener('click', exportScenarioJSON);
+    elements.importScenarioBtn.addEventListener('click', () => elements.scenarioFile.click());
+    elements.scenarioFile.addEventListener('change', () => {
+        if (elements.scenarioFile.files.length > 0) {
+            importScenarioJSON(elements.scenarioFile.files[0]);
+        }
+        elements.scenarioFile.value = '';
+    });
 }
 
+/**
+ * Read the form into pricing params
+ * Inputs are taken as typed, with no defaults substituted: a blank or malformed
+ * entry becomes NaN for checkInputs to report. Only optional inputs, where a
+ * blank means "not set", fall back to a value.
+ */
 function getParams() {
-    const S = parseFloat(elements.spotPrice.value) || 100;
-    const K = parseFloat(elements.strikePrice.value) || 100;
-    const r = (parseFloat(elements.riskFreeRate.value) || 5) / 100;
-    const q = (parseFloat(elements.dividendYield.value) || 0) / 100;
-    const sigma = (parseFloat(elements.volatility.value) || 20) / 100;
-    const T = parseFloat(elements.timeToMaturity.value) || 1;
-    const N = parseInt(elements.numSteps.value) || 3;
+    const S = readNumber(elements.spotPrice);
+    const K = readNumber(elements.strikePrice);
+    const r = readNumber(elements.riskFreeRate) / 100;
+    const q = readNumber(elements.dividendYield, 0) / 100;
+    const sigma = readNumber(elements.volatility) / 100;
+    const T = readNumber(elements.timeToMaturity);
+    const N = readNumber(elements.numSteps);
+    const pricingN = readNumber(elements.pricingSteps, 0);
     const isCall = document.querySelector('input[name="optionType"]:checked').value === 'call';
-    const isAmerican = document.querySelector('input[name="exerciseStyle"]:checked').value === 'american';
+    const exerciseStyle = document.querySelector('input[name="exerciseStyle"]:checked').value;
+    const isAmerican = exerciseStyle !== 'european';
+    const bermudan = exerciseStyle === 'bermudan' ? {
+        dates: elements.bermudanDates.value.split(/[,;\s]+/).filter(Boolean).map(Number),
+        every: readNumber(elements.bermudanEvery, 0)
+    } : null;
+    const model = elements.latticeModel.value;
+    const dividends = parseDividends(elements.cashDividends.value);
+    const payoff = {
+        type: elements.payoffType.value,
+        cash: readNumber(elements.payoffCash),
+        trigger: readNumber(elements.payoffTrigger),
+        power: readNumber(elements.payoffPower),
+        expression: elements.payoffExpression.value
+    };
+    const barrier = elements.barrierType.value === 'none' ? null : {
+        type: elements.barrierType.value,
+        level: readNumber(elements.barrierLevel),
+        rebate: readNumber(elements.barrierRebate, 0)
+    };
+    const termStructure = {
+        interpolation: elements.termInterpolation.value,
+        rates: parseTermStructure(elements.termRates.value),
+        yields: parseTermStructure(elements.termYields.value),
+        vols: parseTermStructure(elements.termVols.value)
+    };
     
-    return { S, K, r, q, sigma, T, N: Math.min(Math.max(N, 1), 20), isCall, isAmerican };
+    return {
+        S, K, r, q, sigma, T, N, pricingN,
+        isCall, isAmerican, model, dividends, barrier, bermudan, payoff,
+        termStructure: hasTermStructure({ termStructure }) ? termStructure : null
+    };
+}
+
+/**
+ * Number in an input, NaN when it does not parse, or blank when it is empty
+ */
+function readNumber(input, blank = NaN) {
+    const text = input.value.trim();
+    return text === '' ? blank : Number(text);
 }
 
+/**
+ * Split "a, b" lines into number pairs, skipping blank lines
+ * A line without exactly two numbers gives [NaN, NaN] for validateParams to report
+ */
+function parseLinePairs(text) {
+    return text
+        .split('\n')
+        .map(line => line.split(/[,;\s]+/).filter(Boolean))
+        .filter(tokens => tokens.length > 0)
+        .map(tokens => tokens.length === 2 ? tokens.map(Number) : [NaN, NaN]);
+}
+
+/**
+ * Parse "time, amount" lines into a dividend list
+ */
+function parseDividends(text) {
+    return parseLinePairs(text).map(([time, amount]) => ({ time, amount }));
+}
+
+/**
+ * Parse "maturity, percent" lines into term-structure pillars sorted by maturity
+ * A repeated maturity keeps its last value; malformed lines are kept at the end
+ */
+function parseTermStructure(text) {
+    const pillars = new Map();
+    const malformed = [];
+    parseLinePairs(text).forEach(([time, value]) => {
+        if (isFinite(time) && isFinite(value)) {
+            pillars.set(time, value / 100);
+        } else {
+            malformed.push({ time, value });
+        }
+    });
+    
+    return [...pillars.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, value]) => ({ time, value }))
+        .concat(malformed);
+}
+
+/**
+ * Describe how the term structures reach the lattice shown in the tree
+ */
+function updateTermNote(params, result) {
+    const steps = result.lattice.steps;
+    if (!params.termStructure || !steps) {
+        elements.termNote.style.display = 'none';
+        return;
+    }
+    
+    const notes = [];
+    const isTrinomial = result.lattice.branches === 3;
+    const probs = steps.map(step => step.p);
+    notes.push(`${isTrinomial ? 'pu' : 'p'} varies by step from ${Math.min(...probs).toFixed(4)} to ${Math.max(...probs).toFixed(4)}`);
+    
+    if (isTrinomial && steps.some(step => step.sigma === 0)) {
+        notes.push('the volatility curve implies negative forward variance, floored at zero');
+    }
+    
+    elements.termNote.style.display = 'block';
+    elements.termNote.textContent = notes.join('; ');
+}
+
+/**
+ * Show or hide the payoff inputs and report an invalid custom expression
+ * Returns false when the payoff cannot be priced
+ */
+function checkPayoff(params) {
+    const inputs = PAYOFFS[params.payoff.type].inputs;
+    document.querySelectorAll('[data-payoff-input]').forEach(group => {
+        group.style.display = inputs.includes(group.dataset.payoffInput) ? 'flex' : 'none';
+    });
+    
+    try {
+        getPayoffSpec(params.payoff);
+        elements.payoffError.style.display = 'none';
+        return true;
+    } catch (error) {
+        elements.payoffError.style.display = 'block';
+        elements.payoffError.textContent = error.message;
+        return false;
+    }
+}
+
+/**
+ * Mark each input that cannot be used, then check the lattices to be priced
+ * are arbitrage-free; returns false when the params cannot be priced
+ */
+function checkInputs(params) {
+    const payoffValid = checkPayoff(params);
+    const errors = validateParams(params, MAX_DISPLAY_STEPS);
+    const maxNError = describeInputError('Max N', readNumber(elements.convergenceMaxN), { integer: true, atLeast: 2, atMost: 500 });
+    if (maxNError) {
+        errors.push({ field: 'maxN', message: maxNError });
+    }
+    
+    const messages = {};
+    errors.forEach(({ field, message }) => {
+        messages[field] = messages[field] || message;
+    });
+    
+    // Only inputs that price cleanly can be checked for arbitrage
+    let diagnostic = null;
+    if (payoffValid && errors.length === 0) {
+        diagnostic = checkLattice(params);
+        if (!diagnostic && getPricingParams(params)) {
+            diagnostic = checkLattice(params, params.pricingN);
+        }
+    }
+    if (diagnostic) {
+        messages[diagnostic.N === params.N ? 'N' : 'pricingN'] = diagnostic.steps
+            ? `Needs at least ${diagnostic.steps} steps`
+            : 'No step count gives a valid lattice';
+    }
+    
+    Object.entries(SCENARIO_FIELDS).forEach(([field, id]) => {
+        showFieldError(document.getElementById(id), messages[field]);
+    });
+    elements.latticeError.style.display = diagnostic ? 'block' : 'none';
+    elements.latticeError.textContent = diagnostic ? diagnostic.message : '';
+    
+    return payoffValid && errors.length === 0 && !diagnostic;
+}
+
+function showFieldError(input, message) {
+    const group = input.closest('.input-group') || input.parentElement;
+    let note = group.querySelector('.field-error');
+    
+    input.classList.toggle('is-invalid', Boolean(message));
+    if (!message) {
+        if (note) {
+            note.remove();
+        }
+        return;
+    }
+    
+    if (!note) {
+        note = document.createElement('div');
+        note.className = 'field-error';
+        group.appendChild(note);
+    }
+    note.textContent = message;
+}
+
+/**
+ * Withdraw the results of the last valid inputs rather than show them against
+ * inputs they do not match
+ */
+function showInvalidInputs() {
+    pricing.view.cancel();
+    setPricingBusy(false);
+    currentView = null;
+    currentPricing = null;
+    renderer.stopPlayback();
+    updateNodeInspector(null);
+    updateComparison();
+    
+    document.body.classList.add('inputs-invalid');
+    elements.pricingStatus.textContent = 'Fix the highlighted inputs to price the option';
+    elements.pricingStatus.classList.add('is-error');
+    elements.pricingStatus.style.display = 'block';
+}
+
+/**
+ * Price the inputs in the background and show the result when it arrives
+ * A newer calculation, or a sweep or solve on the old inputs, is cancelled
+ */
 function calculate() {
     const params = getParams();
     
-    // Price the option
-    const result = priceBinomialTree(params);
+    cancelSensitivity();
+    cancelImpliedVol();
     
-    // Update CRR display
-    elements.crrU.textContent = result.crr.u.toFixed(6);
-    elements.crrD.textContent = result.crr.d.toFixed(6);
-    elements.crrP.textContent = result.crr.p.toFixed(6);
-    elements.crrDt.textContent = result.crr.dt.toFixed(6);
+    if (!checkInputs(params)) {
+        showInvalidInputs();
+        return;
+    }
+    
+    document.body.classList.remove('inputs-invalid');
+    setPricingBusy(true);
+    
+    const maxN = readNumber(elements.convergenceMaxN);
+    pricing.view.run('view', { params, ...getViewSelection(), maxN }, {
+        onProgress: (done, total) => {
+            elements.pricingStatus.textContent = `Calculating… ${Math.round(done / total * 100)}%`;
+        },
+        onResult: output => {
+            setPricingBusy(false);
+            showPricing(params, output);
+        },
+        onError: error => {
+            setPricingBusy(false);
+            elements.pricingStatus.textContent = `Pricing failed: ${error.message}`;
+            elements.pricingStatus.classList.add('is-error');
+            elements.pricingStatus.style.display = 'block';
+        }
+    });
+}
+
+/**
+ * The strategy legs and tree view selection a pricing job needs, copied from the page
+ */
+function getViewSelection() {
+    return {
+        legs: isStrategyMode() ? strategyLegs.map(leg => ({ ...leg })) : [],
+        treeView: elements.treeView.value
+    };
+}
+
+/**
+ * Dim the results while a calculation runs, once it has run for PRICING_BUSY_DELAY
+ */
+function setPricingBusy(busy) {
+    clearTimeout(pricingBusyTimer);
+    elements.pricingStatus.classList.remove('is-error');
+    
+    if (busy) {
+        elements.pricingStatus.textContent = 'Calculating…';
+        pricingBusyTimer = setTimeout(() => {
+            document.body.classList.add('is-pricing');
+            elements.pricingStatus.style.display = 'block';
+        }, PRICING_BUSY_DELAY);
+    } else {
+        document.body.classList.remove('is-pricing');
+        elements.pricingStatus.style.display = 'none';
+    }
+}
+
+/**
+ * Custom payoffs arrive from the worker without their compiled expression,
+ * which cannot be posted between threads, so compile them again here
+ */
+function restorePayoff(result, params) {
+    if (result.payoff) {
+        result.payoff = getPayoffSpec(params.payoff);
+    }
+}
+
+function showPricing(params, output) {
+    const { view, headline, headlineStrategy } = output;
+    const result = view.result;
+    restorePayoff(result, view.params);
+    restorePayoff(headline, view.params);
+    
+    updateStrategyPanel(params, headlineStrategy);
+    updateTermNote(params, result);
+    
+    // Update lattice display
+    const lattice = result.lattice;
+    elements.latticeTitle.textContent = `${lattice.label} Parameters`;
+    elements.crrU.textContent = lattice.u.toFixed(6);
+    elements.crrD.textContent = lattice.d.toFixed(6);
+    elements.crrP.textContent = lattice.p.toFixed(6);
+    elements.crrDt.textContent = lattice.dt.toFixed(6);
+    
+    const isTrinomial = lattice.branches === 3;
+    elements.latticeValues.classList.toggle('is-trinomial', isTrinomial);
+    elements.crrPLabel.textContent = isTrinomial ? 'pu (up)' : 'p (prob)';
+    if (isTrinomial) {
+        elements.crrPm.textContent = lattice.pm.toFixed(6);
+        elements.crrPd.textContent = lattice.pd.toFixed(6);
+    }
+    
+    if (lattice.N !== params.N) {
+        elements.latticeNote.style.display = 'block';
+        elements.latticeNote.textContent = `${lattice.name} requires odd N: using ${lattice.N} steps`;
+    } else {
+        elements.latticeNote.style.display = 'none';
+    }
     
     // Update results
-    elements.optionPrice.textContent = '$' + result.price.toFixed(4);
-    elements.delta.textContent = result.delta.toFixed(4);
-    elements.gamma.textContent = result.gamma.toFixed(6);
-    
-    // Update early exercise section
-    if (params.isAmerican && result.earlyExerciseNodes.length > 0) {
-        elements.earlyExerciseSection.style.display = 'block';
-        elements.earlyExerciseInfo.innerHTML = result.earlyExerciseNodes
-            .map(node => `<div class="early-exercise-item">
-                Step ${node.step}, State ${node.state}: S=$${node.stockPrice.toFixed(2)}, V=$${node.optionValue.toFixed(2)}
-            </div>`)
-            .join('');
+    elements.optionPrice.textContent = '$' + headline.price.toFixed(4);
+    elements.delta.textContent = headline.delta.toFixed(4);
+    elements.gamma.textContent = headline.gamma.toFixed(6);
+    elements.theta.textContent = headline.theta.toFixed(4);
+    elements.vega.textContent = headline.vega.toFixed(4);
+    elements.rho.textContent = headline.rho.toFixed(4);
+    
+    if (headline !== result) {
+        elements.pricingNote.style.display = 'block';
+        elements.pricingNote.textContent = `Priced on ${headline.lattice.N} steps; the tree shows ${result.lattice.N}`;
     } else {
-        elements.earlyExerciseSection.style.display = 'none';
+        elements.pricingNote.style.display = 'none';
     }
     
-    // Update tree visualization
-    renderer.setColors(getTreeColors(currentTheme));
+    // Black-Scholes benchmark (European only)
+    const benchmark = getBenchmark(view.params, headline);
+    if (benchmark) {
+        elements.benchmarkValues.style.display = 'flex';
+        elements.bsPrice.textContent = '$' + benchmark.price.toFixed(4);
+        elements.bsError.textContent = benchmark.absError.toFixed(6);
+        elements.bsRelError.textContent = (benchmark.relError * 100).toFixed(4) + '%';
+    } else {
+        elements.benchmarkValues.style.display = 'none';
+    }
+    
+    updateEarlyExercise(view.params, result, headline);
+    
+    elements.legendDividend.style.display = result.dividendSchedule.length > 0 ? 'flex' : 'none';
+    elements.legendBarrier.style.display = result.barrier ? 'flex' : 'none';
+    elements.legendBermudan.style.display = result.exerciseSteps ? 'flex' : 'none';
+    elements.legendBoundary.style.display = result.exerciseBoundary.length > 0 ? 'flex' : 'none';
+    elements.bermudanInputs.style.display = params.bermudan ? 'grid' : 'none';
+    
+    currentView = view;
+    currentPricing = output;
+    
+    // Update tree visualization, and the comparison with any pinned result
+    renderer.setColors(getThemeColors());
     renderer.setData(result);
+    updateComparison();
+    updateProbabilityOverlay();
     renderer.render();
+    
+    updateNodeInspector(getInspectedNode());
+    updateExerciseBoundaryChart(view.params, headline);
+    
+    updateConvergenceChart(view, benchmark, output.convergence);
+    updateDistributionChart(view, output.strategy, output.distribution);
+    updateScenarioLink();
+}
+
+/**
+ * The node the inspector explains: the hovered node, else the selected one
+ * During playback only computed nodes can be inspected, and the node being
+ * computed stands in for the selection
+ */
+function getInspectedNode(hovered = null) {
+    if (renderer.playback) {
+        return hovered && renderer.isComputed(hovered.i, hovered.j) ? hovered : renderer.getPlaybackNode();
+    }
+    return hovered || renderer.selected;
+}
+
+/**
+ * Reflect the playback state in its controls and inspect the node being computed
+ */
+function updatePlayback(playback) {
+    elements.playBtn.textContent = playback && playback.playing ? 'Pause' : 'Play';
+    elements.stopPlaybackBtn.disabled = !playback;
+    
+    let status = '';
+    if (playback) {
+        const N = renderer.data.stockTree.length - 1;
+        const count = renderer.data.stockTree[playback.i].length;
+        if (playback.i === N) {
+            status = `Step ${N}: payoffs at expiry`;
+        } else if (playback.i === 0) {
+            status = 'Step 0: option value at the root';
+        } else {
+            status = `Step ${playback.i}: node ${playback.j + 1} of ${count}`;
+        }
+    }
+    elements.playbackStatus.textContent = status;
+    updateNodeInspector(getInspectedNode());
+}
+
+/**
+ * Explain a node of the displayed tree: its children, the discounted hold value
+ * and, where early exercise is allowed, which of hold or exercise won
+ */
+function updateNodeInspector(node) {
+    if (!node || !currentView) {
+        elements.nodeInspector.style.display = 'none';
+        return;
+    }
+    
+    const { params, result } = currentView;
+    const info = getNodeBreakdown(params, result, node.i, node.j);
+    const row = (label, value) => `<div class="inspector-row"><span>${label}</span><span>${value}</span></div>`;
+    const labels = info.children.length === 3 ? ['Down', 'Middle', 'Up'] : ['Down', 'Up'];
+    
+    let html = `<div class="inspector-title">Step ${info.step}, State ${info.state} (t=${info.time.toFixed(4)})</div>`;
+    html += row('Stock Price', '$' + info.stockPrice.toFixed(4));
+    html += row('Option Value', '$' + info.optionValue.toFixed(4));
+    if (isComparingTrees()) {
+        const pinnedValue = pinnedPricing.view.result.optionTree[node.i][node.j];
+        html += row('Pinned Value', '$' + pinnedValue.toFixed(4));
+        html += row('Change', formatChange(info.optionValue - pinnedValue, 4));
+    }
+    if (currentPricing) {
+        html += row('Probability', (currentPricing.probabilities[node.i][node.j] * 100).toFixed(4) + '%');
+    }
+    
+    info.children.forEach((child, b) => {
+        html += row(`${labels[b]} → ${child.state}`, `p=${child.prob.toFixed(4)}, S=${child.stockPrice.toFixed(2)}, V=${child.optionValue.toFixed(4)}`);
+    });
+    
+    if (info.holdValue !== null) {
+        const terms = info.children.map(child => `${child.prob.toFixed(4)}×${child.optionValue.toFixed(4)}`).join(' + ');
+        html += row('Hold Value', '$' + info.holdValue.toFixed(4));
+        html += `<div class="inspector-note">${info.discount.toFixed(6)} × (${terms})</div>`;
+    }
+    
+    if (info.exerciseValue !== null) {
+        html += row('Exercise Value', '$' + info.exerciseValue.toFixed(4));
+        html += `<div class="inspector-winner">${info.earlyExercise ? 'Exercise' : 'Hold'} wins</div>`;
+    }
+    
+    let note = null;
+    if (info.barrierHit) {
+        note = info.knockIn
+            ? `On the barrier: knocked in, so the node takes the vanilla option value${info.earlyExercise ? ', which is exercised here' : ''}`
+            : 'On the barrier: knocked out, so the node is worth the rebate';
+    } else if (info.isTerminal) {
+        note = info.knockIn ? 'Barrier never touched: the rebate is paid' : 'Payoff at expiry';
+    } else if (result.isStrategy && params.isAmerican) {
+        note = 'Combined position: each leg decides early exercise on its own';
+    } else if (params.isAmerican && info.exerciseValue === null && !info.knockIn) {
+        note = 'No early exercise at this step';
+    }
+    if (note) {
+        html += `<div class="inspector-note">${note}</div>`;
+    }
+    
+    elements.nodeInspector.innerHTML = html;
+    elements.nodeInspector.style.display = 'block';
+}
+
+/**
+ * List the early-exercise nodes of the display tree, or the critical stock
+ * price along the large pricing lattice when the headline comes from it
+ */
+function updateEarlyExercise(params, result, headline) {
+    let items = [];
+    
+    if (headline !== result && headline.exerciseBoundary.length > 0) {
+        const boundary = headline.exerciseBoundary;
+        const count = Math.min(boundary.length, 12);
+        for (let k = 0; k < count; k++) {
+            const point = boundary[Math.round(k * (boundary.length - 1) / Math.max(count - 1, 1))];
+            items.push(`Step ${point.step} (t=${point.time.toFixed(4)}): S*=$${point.criticalPrice.toFixed(2)}`);
+        }
+    } else if (headline === result && params.isAmerican) {
+        // A large tree can exercise at thousands of nodes; list the first few
+        const nodes = result.earlyExerciseNodes;
+        items = nodes.slice(0, 50).map(node =>
+            `Step ${node.step}, State ${node.state}: S=$${node.stockPrice.toFixed(2)}, V=$${node.optionValue.toFixed(2)}`
+        );
+        if (nodes.length > items.length) {
+            items.push(`… and ${nodes.length - items.length} more`);
+        }
+    }
+    
+    elements.earlyExerciseSection.style.display = items.length > 0 ? 'block' : 'none';
+    elements.earlyExerciseInfo.innerHTML = items
+        .map(item => `<div class="early-exercise-item">${item}</div>`)
+        .join('');
+}
+
+/**
+ * Plot the critical stock price against time, from the pricing lattice when it is finer than the tree
+ */
+function updateExerciseBoundaryChart(params, headline) {
+    const boundary = headline.exerciseBoundary;
+    elements.exerciseBoundarySection.style.display = boundary.length > 0 ? 'flex' : 'none';
+    if (boundary.length === 0) return;
+    
+    elements.exerciseBoundaryNote.textContent = `${boundary.length} exercise steps of ${headline.lattice.N}`;
+    exerciseBoundaryChart.setColors(getThemeColors());
+    exerciseBoundaryChart.setData({ boundary, strike: params.K, T: params.T });
+    exerciseBoundaryChart.render();
+}
+
+function isStrategyMode() {
+    return elements.strategyEnabled.checked && strategyLegs.length > 0;
+}
+
+function renderStrategyLegs() {
+    elements.positionsList.innerHTML = '';
+    
+    strategyLegs.forEach((leg, index) => {
+        const item = document.createElement('div');
+        item.className = 'position-item';
+        item.innerHTML = `
+            <div class="position-header">
+                <span class="position-title">Leg ${index + 1}: ${describeLeg(leg)}</span>
+                <button class="btn-remove">Remove</button>
+            </div>
+            <div class="position-inputs">
+                <div class="input-group">
+                    <label>Side</label>
+                    <select data-field="side">
+                        <option value="long"${leg.side === 'long' ? ' selected' : ''}>Long</option>
+                        <option value="short"${leg.side === 'short' ? ' selected' : ''}>Short</option>
+                    </select>
+                </div>
+                <div class="input-group">
+                    <label>Type</label>
+                    <select data-field="type">
+                        <option value="call"${leg.type === 'call' ? ' selected' : ''}>Call</option>
+                        <option value="put"${leg.type === 'put' ? ' selected' : ''}>Put</option>
+                    </select>
+                </div>
+                <div class="input-group">
+                    <label>Strike</label>
+                    <input type="number" data-field="strike" value="${leg.strike}" step="1">
+                </div>
+                <div class="input-group">
+                    <label>Quantity</label>
+                    <input type="number" data-field="quantity" value="${leg.quantity}" min="1" step="1">
+                </div>
+            </div>`;
+        
+        item.querySelector('.btn-remove').addEventListener('click', () => {
+            strategyLegs.splice(index, 1);
+            elements.treeView.value = 'combined';
+            renderStrategyLegs();
+            calculate();
+        });
+        
+        item.querySelectorAll('[data-field]').forEach(field => {
+            const update = () => {
+                const key = field.dataset.field;
+                if (key === 'strike' || key === 'quantity') {
+                    const value = parseFloat(field.value);
+                    if (isNaN(value) || value <= 0) return;
+                    leg[key] = value;
+                } else {
+                    leg[key] = field.value;
+                }
+                item.querySelector('.position-title').textContent = `Leg ${index + 1}: ${describeLeg(leg)}`;
+                updateTreeViewOptions();
+                calculate();
+            };
+            field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', debounce(update, 150));
+        });
+        
+        elements.positionsList.appendChild(item);
+    });
+    
+    updateTreeViewOptions();
+}
+
+function updateTreeViewOptions() {
+    const selected = elements.treeView.value;
+    
+    elements.treeView.innerHTML = '<option value="combined">Combined Position</option>' +
+        strategyLegs.map((leg, index) => `<option value="${index}">Leg ${index + 1}: ${describeLeg(leg)}</option>`).join('');
+    
+    elements.treeView.value = selected && elements.treeView.querySelector(`option[value="${selected}"]`)
+        ? selected
+        : 'combined';
+}
+
+function updateStrategyPanel(params, strategy) {
+    elements.strategyBuilder.style.display = elements.strategyEnabled.checked ? 'block' : 'none';
+    elements.treeView.style.display = strategy ? 'block' : 'none';
+    elements.strategyPayoffSection.style.display = strategy ? 'flex' : 'none';
+    
+    if (!strategy) return;
+    
+    elements.netPremium.textContent = '$' + strategy.premium.toFixed(4);
+    elements.netDelta.textContent = strategy.delta.toFixed(4);
+    elements.netGamma.textContent = strategy.gamma.toFixed(6);
+    
+    // Payoff diagram from half the lowest strike to 1.5x the highest
+    const strikes = strategyLegs.map(leg => leg.strike).concat(params.S);
+    const low = Math.max(0, Math.min(...strikes) * 0.5);
+    const high = Math.max(...strikes) * 1.5;
+    const points = [];
+    for (let k = 0; k <= 200; k++) {
+        const S = low + (high - low) * k / 200;
+        points.push({ S, payoff: strategyPayoffAtExpiry(strategyLegs, S) });
+    }
+    
+    payoffChart.setColors(getThemeColors());
+    payoffChart.setData({ points, premium: strategy.premium, spot: params.S });
+    payoffChart.render();
+}
+
+function getBenchmark(params, result) {
+    if (params.isAmerican || result.barrier || result.payoff || result.isStrategy) return null;
+    
+    // Escrowed-dividend Black-Scholes, consistent with the tree; with term
+    // structures the European price depends only on the term values to expiry
+    const curves = getTermCurves(params);
+    const { r, q, sigma } = getLatticeInputs(params, curves);
+    const S = params.S - dividendPV(params.dividends, r, 0, params.T, curves && curves.rates);
+    const price = blackScholesPrice(S, params.K, r, q, sigma, params.T, params.isCall);
+    const absError = result.price - price;
+    
+    return { price, absError, relError: price !== 0 ? absError / price : 0 };
+}
+
+function updateConvergenceChart(view, benchmark, points) {
+    convergenceChart.setColors(getThemeColors());
+    convergenceChart.setData({
+        points,
+        benchmark: benchmark ? benchmark.price : null,
+        currentN: view.result.lattice.N
+    });
+    convergenceChart.render();
+}
+
+/**
+ * Risk-neutral distribution of the stock at expiry on the displayed tree,
+ * against the strikes of the option or of every strategy leg
+ */
+function updateDistributionChart(view, strategy, distribution) {
+    const strikes = view.result.isStrategy
+        ? [...new Set(strategy.legs.map(({ leg }) => leg.strike))].sort((a, b) => a - b)
+        : [view.params.K];
+    
+    elements.distributionNote.textContent = `${view.result.lattice.N} steps, ${distribution.nodes.length} terminal nodes`;
+    distributionChart.setColors(getThemeColors());
+    distributionChart.setData({ distribution, strikes });
+    distributionChart.render();
+}
+
+function getSweepAxis(key, from, to, count) {
+    return {
+        key: key.value,
+        from: parseFloat(from.value),
+        to: parseFloat(to.value),
+        count: parseInt(count.value)
+    };
+}
+
+/**
+ * Sweep the displayed view (option, leg or combined position) over the chosen inputs
+ */
+function runSensitivity() {
+    if (!currentView) return;
+    
+    const xAxis = getSweepAxis(elements.sweepXKey, elements.sweepXFrom, elements.sweepXTo, elements.sweepXCount);
+    const yAxis = elements.sweepYKey.value
+        ? getSweepAxis(elements.sweepYKey, elements.sweepYFrom, elements.sweepYTo, elements.sweepYCount)
+        : null;
+    const N = readNumber(elements.sweepSteps);
+    const stepsError = describeInputError('Sweep steps', N, { integer: true, atLeast: 1, atMost: 1000 });
+    if (stepsError) {
+        showSweepError(stepsError);
+        return;
+    }
+    
+    elements.sweepError.style.display = 'none';
+    setSweepBusy(true);
+    
+    pricing.sweep.run('sweep', { params: { ...currentView.params, N }, xAxis, yAxis, ...getViewSelection() }, {
+        onProgress: (done, total) => {
+            elements.sweepStatus.textContent = `${done} of ${total} points`;
+        },
+        onResult: sweep => {
+            setSweepBusy(false);
+            if (sweep.error) {
+                showSweepError(sweep.error);
+                return;
+            }
+            currentSweep = sweep;
+            elements.exportSweepBtn.disabled = false;
+            renderSensitivity();
+            
+            const failed = sweep.grid.flat().filter(cell => cell.error);
+            if (failed.length > 0) {
+                showSweepError(`${failed.length} of ${sweep.grid.flat().length} points cannot be priced and are left blank; ` +
+                    `the first: ${failed[0].error}`);
+            }
+        },
+        onError: error => {
+            setSweepBusy(false);
+            showSweepError(error.message);
+        }
+    });
+}
+
+function cancelSensitivity() {
+    if (!pricing.sweep.busy) return;
+    
+    pricing.sweep.cancel();
+    setSweepBusy(false);
+}
+
+function setSweepBusy(busy) {
+    elements.runSweepBtn.textContent = busy ? 'Cancel' : 'Run';
+    elements.sweepStatus.textContent = busy ? 'Starting…' : '';
+}
+
+function showSweepError(message) {
+    elements.sweepError.textContent = message;
+    elements.sweepError.style.display = 'block';
 }
 
+function renderSensitivity() {
+    if (!currentSweep) return;
+    
+    sensitivityChart.setColors(getThemeColors());
+    sensitivityChart.setData({ sweep: currentSweep, output: elements.sweepOutput.value, mode: elements.sweepMode.value });
+    sensitivityChart.render();
+}
+
+function exportSensitivityCSV() {
+    if (!currentSweep) return;
+    
+    const { x, y, grid } = currentSweep;
+    const outputs = Object.entries(SWEEP_OUTPUTS);
+    let csv = 'SENSITIVITY\n';
+    csv += [SWEEP_INPUTS[x.key].name, ...(y ? [SWEEP_INPUTS[y.key].name] : []), ...outputs.map(([, spec]) => spec.name), 'Error']
+        .map(csvField).join(',') + '\n';
+    
+    grid.forEach((row, k) => {
+        row.forEach((cell, column) => {
+            const inputs = y ? [x.values[column], y.values[k]] : [x.values[column]];
+            const values = outputs.map(([key, spec]) => cell[key] === null ? '' : cell[key].toFixed(spec.decimals));
+            csv += [...inputs.map(value => String(Number(value.toFixed(10)))), ...values, csvField(cell.error || '')].join(',') + '\n';
+        });
+    });
+    
+    downloadFile(csv, 'text/csv', 'binomial-tree-sensitivity.csv');
+}
+
+function solveImpliedVol() {
+    const params = getParams();
+    if (!checkInputs(params)) {
+        showInvalidInputs();
+        return;
+    }
+    const marketPrice = parseFloat(elements.marketPrice.value);
+    
+    if (isNaN(marketPrice)) {
+        showImpliedVol({ sigma: null, iterations: 0, error: 'Enter a market price' });
+        return;
+    }
+    
+    elements.solveIvBtn.disabled = true;
+    elements.impliedVol.textContent = 'Solving…';
+    
+    pricing.impliedVol.run('impliedVol', { params, marketPrice }, {
+        onResult: solution => {
+            elements.solveIvBtn.disabled = false;
+            showImpliedVol(solution);
+        },
+        onError: error => {
+            elements.solveIvBtn.disabled = false;
+            showImpliedVol({ sigma: null, iterations: 0, error: error.message });
+        }
+    });
+}
+
+function cancelImpliedVol() {
+    if (!pricing.impliedVol.busy) return;
+    
+    pricing.impliedVol.cancel();
+    elements.solveIvBtn.disabled = false;
+    elements.impliedVol.textContent = '-';
+}
+
+function showImpliedVol(solution) {
+    elements.ivIterations.textContent = solution.iterations;
+    
+    if (solution.error) {
+        elements.impliedVol.textContent = '-';
+        elements.ivError.style.display = 'block';
+        elements.ivError.textContent = solution.error;
+        elements.applyIvBtn.disabled = true;
+        elements.applyIvBtn.dataset.sigma = '';
+    } else {
+        elements.impliedVol.textContent = (solution.sigma * 100).toFixed(4) + '%';
+        elements.ivError.style.display = 'none';
+        elements.applyIvBtn.disabled = false;
+        elements.applyIvBtn.dataset.sigma = solution.sigma;
+    }
+}
+
+function applyImpliedVol() {
+    const sigma = parseFloat(elements.applyIvBtn.dataset.sigma);
+    if (isNaN(sigma)) return;
+    
+    elements.volatility.value = (sigma * 100).toFixed(4);
+    calculate();
+}
+
+/**
+ * Keep the shown result to compare later calculations with
+ */
+function pinResult() {
+    if (!currentPricing) return;
+    
+    const { view, headline } = currentPricing;
+    pinnedPricing = { view, headline };
+    updateComparison();
+    renderer.render();
+    updateNodeInspector(getInspectedNode());
+}
+
+function unpinResult() {
+    pinnedPricing = null;
+    elements.treeColoring.value = 'values';
+    updateComparison();
+    renderer.render();
+    updateNodeInspector(getInspectedNode());
+}
+
+/**
+ * Shade the tree by the probability of reaching each node when asked; the
+ * caller redraws the tree
+ */
+function updateProbabilityOverlay() {
+    const shading = Boolean(currentPricing) && elements.treeColoring.value === 'probability';
+    renderer.setProbabilities(shading ? currentPricing.probabilities : null);
+    elements.legendProbability.style.display = shading ? 'flex' : 'none';
+}
+
+/**
+ * Whether the tree is coloured by the change from the pinned tree
+ * Only trees of the same shape pair up node by node
+ */
+function isComparingTrees() {
+    return Boolean(pinnedPricing && currentView) && elements.treeColoring.value === 'change' &&
+        isSameTreeShape(pinnedPricing.view.result, currentView.result);
+}
+
+/**
+ * Show the pinned result beside the live one, and colour the tree by the
+ * change between them when asked; the caller redraws the tree
+ */
+function updateComparison() {
+    const pinned = pinnedPricing;
+    elements.pinResultBtn.disabled = !currentPricing;
+    elements.unpinResultBtn.disabled = !pinned;
+    elements.exportComparisonBtn.disabled = !pinned || !currentPricing;
+    elements.comparisonTables.style.display = pinned ? 'block' : 'none';
+    elements.treeColoring.querySelector('option[value="change"]').disabled = !pinned;
+    
+    const comparing = isComparingTrees();
+    renderer.setComparison(comparing ? pinned.view.result : null);
+    elements.legendChange.style.display = comparing ? 'flex' : 'none';
+    
+    if (!pinned) {
+        elements.comparisonNote.style.display = 'none';
+        return;
+    }
+    
+    const cell = (tag, text, className = '') => `<${tag}${className ? ` class="${className}"` : ''}>${escapeXML(String(text))}</${tag}>`;
+    
+    elements.comparisonResults.innerHTML =
+        '<tr>' + ['Output', 'Pinned', 'Live', 'Change'].map(text => cell('th', text)).join('') + '</tr>' +
+        getComparisonResultRows().map(row => {
+            const direction = row.change > 0 ? 'is-up' : row.change < 0 ? 'is-down' : '';
+            return '<tr>' + cell('th', row.label) + cell('td', row.pinned) + cell('td', row.live) +
+                cell('td', row.changeText, direction) + '</tr>';
+        }).join('');
+    
+    elements.comparisonInputs.innerHTML =
+        '<tr>' + ['Input', 'Pinned', 'Live'].map(text => cell('th', text)).join('') + '</tr>' +
+        getComparisonInputRows().map(([label, pinnedValue, liveValue]) =>
+            `<tr${pinnedValue !== liveValue ? ' class="is-changed"' : ''}>` +
+            cell('th', label) + cell('td', pinnedValue) + cell('td', liveValue) + '</tr>'
+        ).join('');
+    
+    let note = null;
+    if (elements.treeColoring.value === 'change' && currentView && !comparing) {
+        const describe = result => `${result.lattice.N} steps on a ${result.lattice.branches === 3 ? 'trinomial' : 'binomial'} lattice`;
+        note = `The pinned tree has ${describe(pinned.view.result)} and the live one ${describe(currentView.result)}; ` +
+            'node changes need trees of the same shape';
+    }
+    elements.comparisonNote.textContent = note || '';
+    elements.comparisonNote.style.display = note ? 'block' : 'none';
+}
+
+/**
+ * Headline outputs of the pinned and live results with the change between them
+ * Live values are blank while the inputs cannot be priced
+ */
+function getComparisonResultRows() {
+    const pinned = pinnedPricing.headline;
+    const live = currentPricing && currentPricing.headline;
+    
+    return COMPARISON_OUTPUTS.map(([key, label, decimals]) => {
+        const row = { label, pinned: pinned[key].toFixed(decimals), live: '-', change: null, changeText: '-' };
+        if (live) {
+            row.live = live[key].toFixed(decimals);
+            row.change = live[key] - pinned[key];
+            row.changeText = formatChange(row.change, decimals);
+            if (key === 'price' && pinned.price !== 0) {
+                row.changeText += ` (${formatChange(row.change / Math.abs(pinned.price) * 100, 2)}%)`;
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Input settings of the pinned and live results as [label, pinned, live] rows,
+ * in the pinned order with settings only the live result has at the end
+ */
+function getComparisonInputRows() {
+    const settings = pricing => pricing
+        ? new Map(getSettingsRows(pricing.view.params, pricing.view.result, pricing.headline).map(([label, value]) => [label, String(value)]))
+        : new Map();
+    const pinned = settings(pinnedPricing);
+    const live = settings(currentPricing);
+    const labels = [...new Set([...pinned.keys(), ...live.keys()])];
+    
+    return labels.map(label => [label, pinned.has(label) ? pinned.get(label) : '-', live.has(label) ? live.get(label) : '-']);
+}
+
+/**
+ * Export the pinned and live inputs and results side by side, and the change
+ * at every node when the trees have the same shape
+ */
+function exportComparisonCSV() {
+    if (!pinnedPricing || !currentPricing) return;
+    
+    let csv = 'INPUTS\n';
+    csv += 'Input,Pinned,Live\n';
+    getComparisonInputRows().forEach(row => {
+        csv += row.map(csvField).join(',') + '\n';
+    });
+    csv += '\n';
+    
+    csv += 'RESULTS\n';
+    csv += 'Output,Pinned,Live,Change\n';
+    getComparisonResultRows().forEach(row => {
+        csv += [row.label, row.pinned, row.live, row.changeText].map(csvField).join(',') + '\n';
+    });
+    
+    const pinned = pinnedPricing.view.result;
+    const live = currentPricing.view.result;
+    if (isSameTreeShape(pinned, live)) {
+        csv += '\n';
+        csv += 'NODE CHANGES\n';
+        csv += 'Step,State,Pinned Stock Price,Live Stock Price,Pinned Option Value,Live Option Value,Change\n';
+        for (let i = 0; i < live.stockTree.length; i++) {
+            for (let j = 0; j < live.stockTree[i].length; j++) {
+                csv += `${i},${j},${pinned.stockTree[i][j].toFixed(4)},${live.stockTree[i][j].toFixed(4)},` +
+                    `${pinned.optionTree[i][j].toFixed(4)},${live.optionTree[i][j].toFixed(4)},` +
+                    `${(live.optionTree[i][j] - pinned.optionTree[i][j]).toFixed(4)}\n`;
+            }
+        }
+    }
+    
+    downloadFile(csv, 'text/csv', 'binomial-tree-comparison.csv');
+}
+
+/**
+ * Switch to a built-in theme, or a custom one by CUSTOM_THEME_PREFIX and its name
+ * A custom theme deleted since it was chosen falls back to the default
+ */
 function setTheme(theme) {
+    const customName = getCustomThemeName(theme);
+    const custom = customName === null ? null : loadThemeLibrary()[customName];
+    if (customName !== null && !custom) {
+        theme = 'bloomberg';
+    }
+    
     currentTheme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
     elements.themeSelector.value = theme;
     localStorage.setItem('binomial-tree-theme', theme);
+    applyThemePalette(custom || null);
+}
+
+/**
+ * Tree and chart colours of the theme on show: a custom palette or the built-in theme's
+ */
+function getThemeColors() {
+    return themePalette ? themePalette.tree : getTreeColors(currentTheme);
+}
+
+/**
+ * Colour the page, tree and charts with a palette ({ tree, page }), or with the
+ * built-in currentTheme when palette is null
+ * Custom page colours are set on the root element, over any theme stylesheet.
+ */
+function applyThemePalette(palette) {
+    themePalette = palette;
+    
+    const root = document.documentElement;
+    root.setAttribute('data-theme', palette ? 'custom' : currentTheme);
+    Object.keys(THEME_PAGE_COLORS).forEach(variable => {
+        if (palette) {
+            root.style.setProperty(variable, palette.page[variable]);
+        } else {
+            root.style.removeProperty(variable);
+        }
+    });
+    if (palette) {
+        root.style.setProperty('--chart-bg', getChartBackground(palette.page['--chart-line']));
+    } else {
+        root.style.removeProperty('--chart-bg');
+    }
     
     // Re-render tree with new colors
     if (renderer && renderer.data) {
-        renderer.setColors(getTreeColors(theme));
+        renderer.setColors(getThemeColors());
         renderer.render();
     }
+    [convergenceChart, distributionChart, payoffChart, exerciseBoundaryChart, sensitivityChart].forEach(chart => {
+        if (chart && chart.data) {
+            chart.setColors(getThemeColors());
+            chart.render();
+        }
+    });
+}
+
+/**
+ * List saved custom themes after the built-in ones in the theme selector
+ */
+function renderThemeOptions() {
+    const existing = elements.themeSelector.querySelector('optgroup');
+    if (existing) {
+        existing.remove();
+    }
+    
+    const names = Object.keys(loadThemeLibrary()).sort((a, b) => a.localeCompare(b));
+    if (names.length === 0) return;
+    
+    const group = document.createElement('optgroup');
+    group.label = 'Custom';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = CUSTOM_THEME_PREFIX + name;
+        option.textContent = name;
+        group.appendChild(option);
+    });
+    elements.themeSelector.appendChild(group);
+    elements.themeSelector.value = currentTheme;
+}
+
+function isThemeEditorOpen() {
+    return elements.themeEditor.style.display !== 'none';
+}
+
+/**
+ * Open the editor on the theme on show; a built-in theme's page colours are
+ * read back from its stylesheet
+ */
+function openThemeEditor() {
+    let palette = themePalette;
+    if (!palette) {
+        const style = getComputedStyle(document.documentElement);
+        const treeColors = getTreeColors(currentTheme);
+        palette = { name: '', tree: {}, page: {} };
+        Object.keys(THEME_TREE_COLORS).forEach(key => {
+            palette.tree[key] = normalizeColor(treeColors[key]);
+        });
+        Object.keys(THEME_PAGE_COLORS).forEach(variable => {
+            palette.page[variable] = normalizeColor(style.getPropertyValue(variable)) || '#000000';
+        });
+    }
+    
+    elements.themeTreeColors.querySelectorAll('input').forEach(input => {
+        input.value = palette.tree[input.dataset.treeColor];
+    });
+    elements.themePageColors.querySelectorAll('input').forEach(input => {
+        input.value = palette.page[input.dataset.pageColor];
+    });
+    elements.themeName.value = palette.name;
+    elements.deleteThemeBtn.disabled = getCustomThemeName(currentTheme) === null;
+    elements.themeEditor.style.display = 'block';
+    hideThemeError();
+}
+
+/**
+ * Close the editor and put back the chosen theme over any unsaved preview
+ */
+function closeThemeEditor() {
+    elements.themeEditor.style.display = 'none';
+    setTheme(currentTheme);
+}
+
+/**
+ * The editor's name and colours as a palette
+ */
+function getEditorPalette() {
+    const palette = { name: elements.themeName.value.trim(), tree: {}, page: {} };
+    elements.themeTreeColors.querySelectorAll('input').forEach(input => {
+        palette.tree[input.dataset.treeColor] = input.value;
+    });
+    elements.themePageColors.querySelectorAll('input').forEach(input => {
+        palette.page[input.dataset.pageColor] = input.value;
+    });
+    return palette;
+}
+
+/**
+ * Keep a custom theme in the library, replacing one of the same name, and switch to it
+ */
+function addCustomTheme(theme) {
+    const library = loadThemeLibrary();
+    library[theme.name] = theme;
+    saveThemeLibrary(library);
+    renderThemeOptions();
+    setTheme(CUSTOM_THEME_PREFIX + theme.name);
+}
+
+function saveCustomTheme() {
+    const palette = getEditorPalette();
+    if (!palette.name) {
+        showThemeError('Enter a name to save the theme under');
+        return;
+    }
+    
+    addCustomTheme(normalizeTheme(palette));
+    elements.deleteThemeBtn.disabled = false;
+    hideThemeError();
+}
+
+function deleteCustomTheme() {
+    const name = getCustomThemeName(currentTheme);
+    if (name === null) return;
+    
+    const library = loadThemeLibrary();
+    delete library[name];
+    saveThemeLibrary(library);
+    setTheme('bloomberg');
+    renderThemeOptions();
+    openThemeEditor();
+}
+
+function exportThemeJSON() {
+    const palette = getEditorPalette();
+    if (!palette.name) {
+        showThemeError('Enter a name for the exported theme');
+        return;
+    }
+    
+    const theme = normalizeTheme(palette);
+    const filename = (theme.name.replace(/[^\w-]+/g, '-') || 'binomial-tree-theme') + '.json';
+    downloadFile(JSON.stringify(theme, null, 2), 'application/json', filename);
+    hideThemeError();
+}
+
+function importThemeJSON(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            addCustomTheme(normalizeTheme(JSON.parse(reader.result)));
+            openThemeEditor();
+        } catch (e) {
+            showThemeError(`Could not import ${file.name}: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function showThemeError(message) {
+    elements.themeError.textContent = message;
+    elements.themeError.style.display = 'block';
+}
+
+function hideThemeError() {
+    elements.themeError.style.display = 'none';
 }
 
+/**
+ * Export what the page shows, from the last calculation that finished
+ */
 function exportData() {
     const format = elements.exportFormat.value;
-    const params = getParams();
-    const result = priceBinomialTree(params);
+    if (!currentPricing) return;
     
     if (format === 'png') {
         exportPNG();
+    } else if (format === 'svg') {
+        exportSVG();
     } else {
-        exportCSV(params, result);
+        const { view, headline, headlineStrategy } = currentPricing;
+        if (format === 'report') {
+            printReport(view.params, view.result, headlineStrategy, headline);
+        } else {
+            exportCSV(view.params, view.result, headlineStrategy, headline);
+        }
     }
 }
 
+function getExerciseStyleName(params) {
+    if (!params.isAmerican) return 'European';
+    return params.bermudan ? 'Bermudan' : 'American';
+}
+
 function exportPNG() {
     const dataURL = renderer.getCanvasDataURL();
     const link = document.createElement('a');
@@ -180,56 +1773,407 @@ function exportPNG() {
     link.click();
 }
 
-function exportCSV(params, result) {
+/**
+ * Input settings as [label, value] rows, shared by the CSV and the printed report
+ */
+function getSettingsRows(params, result, headline = result) {
+    const rows = [
+        ['Spot Price', `$${params.S}`],
+        ['Strike Price', `$${params.K}`],
+        ['Risk-Free Rate', `${(params.r * 100).toFixed(2)}%`],
+        ['Dividend Yield', `${(params.q * 100).toFixed(2)}%`],
+        ['Volatility', `${(params.sigma * 100).toFixed(2)}%`],
+        ['Time to Maturity', `${params.T} years`],
+        ['Steps', result.lattice.N]
+    ];
+    if (headline !== result) {
+        rows.push(['Pricing Steps', headline.lattice.N]);
+    }
+    rows.push(['Option Type', params.isCall ? 'Call' : 'Put']);
+    rows.push(['Exercise Style', getExerciseStyleName(params)]);
+    if (result.exerciseSteps) {
+        const steps = result.exerciseSteps.map((allowed, i) => allowed ? i : null).filter(i => i !== null);
+        rows.push(['Exercise Steps', steps.join(' ') || 'Expiry only']);
+    }
+    rows.push(['Lattice Model', result.lattice.name]);
+    const payoffType = params.payoff ? params.payoff.type : 'vanilla';
+    rows.push(['Payoff', PAYOFFS[payoffType].name]);
+    PAYOFFS[payoffType].inputs.forEach(input => {
+        const label = input.charAt(0).toUpperCase() + input.slice(1);
+        rows.push([`Payoff ${label}`, String(params.payoff[input])]);
+    });
+    if (result.barrier) {
+        rows.push(['Barrier', BARRIER_TYPES[result.barrier.type].name]);
+        rows.push(['Barrier Level', `$${result.barrier.level}`]);
+        rows.push(['Rebate', `$${result.barrier.rebate}`]);
+    }
+    if (params.termStructure) {
+        rows.push(['Term Interpolation', TERM_INTERPOLATIONS[params.termStructure.interpolation].name]);
+        Object.entries(TERM_CURVES).forEach(([key, spec]) => {
+            params.termStructure[key].forEach(point => {
+                rows.push([`${spec.name} ${point.time}y`, `${(point.value * 100).toFixed(4)}%`]);
+            });
+        });
+    }
+    
+    return rows;
+}
+
+function getLatticeRows(lattice) {
+    const rows = [
+        ['u', lattice.u.toFixed(6)],
+        ['d', lattice.d.toFixed(6)],
+        ['p', lattice.p.toFixed(6)]
+    ];
+    if (lattice.branches === 3) {
+        rows.push(['pm', lattice.pm.toFixed(6)]);
+        rows.push(['pd', lattice.pd.toFixed(6)]);
+    }
+    rows.push(['dt', lattice.dt.toFixed(6)]);
+    
+    return rows;
+}
+
+function getResultRows(params, headline) {
+    const rows = [
+        ['Option Price', `$${headline.price.toFixed(4)}`],
+        ['Delta', headline.delta.toFixed(4)],
+        ['Gamma', headline.gamma.toFixed(6)],
+        ['Theta', headline.theta.toFixed(4)],
+        ['Vega', headline.vega.toFixed(4)],
+        ['Rho', headline.rho.toFixed(4)]
+    ];
+    const benchmark = getBenchmark(params, headline);
+    if (benchmark) {
+        rows.push(['Black-Scholes Price', `$${benchmark.price.toFixed(4)}`]);
+        rows.push(['Absolute Error', benchmark.absError.toFixed(6)]);
+        rows.push(['Relative Error', `${(benchmark.relError * 100).toFixed(4)}%`]);
+    }
+    
+    return rows;
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRows(rows) {
+    return rows.map(([label, value]) => `${label},${csvField(value)}\n`).join('');
+}
+
+/**
+ * The canvas page background, which the tree colours are drawn against
+ */
+function getTreeBackground() {
+    return getComputedStyle(document.documentElement).getPropertyValue('--bg-primary').trim() || '#ffffff';
+}
+
+function exportSVG() {
+    if (!renderer.data) return;
+    
+    const svg = renderTreeSVG(renderer.data, getThemeColors(), renderer.width, renderer.height, getTreeBackground());
+    downloadFile(svg, 'image/svg+xml', 'binomial-tree.svg');
+}
+
+/**
+ * Fill the print-only report with the inputs, lattice parameters and results
+ * beside a vector copy of the tree, then open the print dialog (which can save as PDF)
+ */
+function printReport(params, result, strategy = null, headline = result) {
+    const table = (title, rows) => `<h2>${escapeXML(title)}</h2><table>` +
+        rows.map(([label, value]) => `<tr><th>${escapeXML(String(label))}</th><td>${escapeXML(String(value))}</td></tr>`).join('') +
+        '</table>';
+    
+    let tables = table('Settings', getSettingsRows(params, result, headline));
+    tables += table(`${result.lattice.label} Parameters`, getLatticeRows(result.lattice));
+    tables += table('Results', getResultRows(params, headline));
+    
+    if (strategy) {
+        tables += table('Strategy', strategy.legs.map(({ leg, result: legResult }, index) => [
+            `${index + 1}. ${leg.side} ${leg.quantity} ${leg.type} K=${leg.strike}`,
+            `$${legResult.price.toFixed(4)}`
+        ]).concat([['Net Premium', `$${strategy.premium.toFixed(4)}`]]));
+    }
+    
+    if (result.dividendSchedule.length > 0) {
+        tables += table('Dividends', result.dividendSchedule.map(dividend => [
+            `${dividend.time}y (step ${dividend.step})`,
+            `$${dividend.amount.toFixed(4)} (PV $${dividend.pv.toFixed(4)})`
+        ]));
+    }
+    
+    const svg = renderTreeSVG(result, getThemeColors(), 900, 600, getTreeBackground());
+    
+    elements.printReport.innerHTML =
+        `<h1>${escapeXML(result.lattice.name)} Option Pricing Report</h1>` +
+        `<div class="report-date">${new Date().toLocaleString()}</div>` +
+        `<div class="report-body"><div class="report-tables">${tables}</div><div class="report-tree">${svg}</div></div>`;
+    
+    window.print();
+}
+
+function exportCSV(params, result, strategy = null, headline = result) {
     let csv = '';
     
     // Settings
     csv += 'SETTINGS\n';
-    csv += `Spot Price,$${params.S}\n`;
-    csv += `Strike Price,$${params.K}\n`;
-    csv += `Risk-Free Rate,${(params.r * 100).toFixed(2)}%\n`;
-    csv += `Volatility,${(params.sigma * 100).toFixed(2)}%\n`;
-    csv += `Time to Maturity,${params.T} years\n`;
-    csv += `Steps,${params.N}\n`;
-    csv += `Option Type,${params.isCall ? 'Call' : 'Put'}\n`;
-    csv += `Exercise Style,${params.isAmerican ? 'American' : 'European'}\n`;
+    csv += csvRows(getSettingsRows(params, result, headline));
     csv += '\n';
     
-    // CRR Parameters
-    csv += 'CRR PARAMETERS\n';
-    csv += `u,${result.crr.u.toFixed(6)}\n`;
-    csv += `d,${result.crr.d.toFixed(6)}\n`;
-    csv += `p,${result.crr.p.toFixed(6)}\n`;
-    csv += `dt,${result.crr.dt.toFixed(6)}\n`;
+    // Lattice Parameters
+    csv += `${result.lattice.label.toUpperCase()} PARAMETERS\n`;
+    csv += csvRows(getLatticeRows(result.lattice));
     csv += '\n';
     
+    // Per-step parameters under term structures
+    if (result.lattice.steps) {
+        const isTrinomial = result.lattice.branches === 3;
+        csv += 'STEP PARAMETERS\n';
+        csv += 'Step,Start (yrs),Forward Rate,Forward Yield,Forward Vol,' + (isTrinomial ? 'pu,pm,pd' : 'p') + ',Discount\n';
+        result.lattice.steps.forEach((step, i) => {
+            const probs = isTrinomial
+                ? `${step.pu.toFixed(6)},${step.pm.toFixed(6)},${step.pd.toFixed(6)}`
+                : step.p.toFixed(6);
+            csv += `${i},${step.time.toFixed(6)},${(step.r * 100).toFixed(4)}%,${(step.q * 100).toFixed(4)}%,` +
+                `${(step.sigma * 100).toFixed(4)}%,${probs},${step.discount.toFixed(6)}\n`;
+        });
+        csv += '\n';
+    }
+    
     // Results
     csv += 'RESULTS\n';
-    csv += `Option Price,$${result.price.toFixed(4)}\n`;
-    csv += `Delta,${result.delta.toFixed(4)}\n`;
-    csv += `Gamma,${result.gamma.toFixed(6)}\n`;
+    csv += csvRows(getResultRows(params, headline));
     csv += '\n';
     
+    // Strategy legs
+    if (strategy) {
+        csv += 'STRATEGY\n';
+        csv += 'Leg,Side,Type,Strike,Quantity,Price,Delta,Gamma\n';
+        strategy.legs.forEach(({ leg, result: legResult }, index) => {
+            csv += `${index + 1},${leg.side},${leg.type},${leg.strike},${leg.quantity},` +
+                `${legResult.price.toFixed(4)},${legResult.delta.toFixed(4)},${legResult.gamma.toFixed(6)}\n`;
+        });
+        csv += `Net Premium,$${strategy.premium.toFixed(4)}\n`;
+        csv += `Net Delta,${strategy.delta.toFixed(4)}\n`;
+        csv += `Net Gamma,${strategy.gamma.toFixed(6)}\n`;
+        csv += `Tree View,${elements.treeView.options[elements.treeView.selectedIndex].text}\n`;
+        csv += '\n';
+    }
+    
+    // Early-exercise boundary on the pricing lattice
+    if (headline.exerciseBoundary.length > 0) {
+        csv += 'EXERCISE BOUNDARY\n';
+        csv += 'Step,Time (yrs),Critical Price,Lowest Exercised,Highest Exercised\n';
+        headline.exerciseBoundary.forEach(point => {
+            csv += `${point.step},${point.time.toFixed(6)},${point.criticalPrice.toFixed(4)},` +
+                `${point.lowest.toFixed(4)},${point.highest.toFixed(4)}\n`;
+        });
+        csv += '\n';
+    }
+    
+    // Cash Dividends
+    if (result.dividendSchedule.length > 0) {
+        csv += 'DIVIDENDS\n';
+        csv += 'Ex-Date (yrs),Amount,Ex Step,PV\n';
+        result.dividendSchedule.forEach(dividend => {
+            csv += `${dividend.time},${dividend.amount.toFixed(4)},${dividend.step},${dividend.pv.toFixed(4)}\n`;
+        });
+        csv += '\n';
+    }
+    
     // Tree Data
     csv += 'TREE DATA\n';
-    csv += 'Step,State,Stock Price,Option Value,Early Exercise\n';
+    csv += 'Step,State,Stock Price,Option Value,Early Exercise' + (result.barrier ? ',Barrier Hit' : '') + '\n';
     
-    for (let i = 0; i <= params.N; i++) {
-        for (let j = 0; j <= i; j++) {
-            csv += `${i},${j},${result.stockTree[i][j].toFixed(4)},${result.optionTree[i][j].toFixed(4)},${result.earlyExercise[i][j] ? 'Yes' : 'No'}\n`;
+    for (let i = 0; i <= result.lattice.N; i++) {
+        for (let j = 0; j < result.stockTree[i].length; j++) {
+            csv += `${i},${j},${result.stockTree[i][j].toFixed(4)},${result.optionTree[i][j].toFixed(4)},${result.earlyExercise[i][j] ? 'Yes' : 'No'}`;
+            if (result.barrier) {
+                csv += `,${result.barrierHits[i][j] ? 'Yes' : 'No'}`;
+            }
+            csv += '\n';
         }
     }
     
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv' });
+    downloadFile(csv, 'text/csv', 'binomial-tree-data.csv');
+}
+
+function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
-    link.download = 'binomial-tree-data.csv';
+    link.download = filename;
     link.href = url;
     link.click();
     URL.revokeObjectURL(url);
 }
 
+/**
+ * The form inputs, radio choices and strategy legs as a scenario
+ */
+function getScenario() {
+    const scenario = { version: SCENARIO_VERSION };
+    
+    Object.entries(SCENARIO_FIELDS).forEach(([key, id]) => {
+        scenario[key] = document.getElementById(id).value;
+    });
+    Object.entries(SCENARIO_CHOICES).forEach(([key, name]) => {
+        scenario[key] = document.querySelector(`input[name="${name}"]:checked`).value;
+    });
+    
+    if (strategyLegs.length > 0) {
+        scenario.legs = strategyLegs.map(leg => ({ ...leg }));
+        scenario.strategy = elements.strategyEnabled.checked;
+        scenario.view = elements.treeView.value;
+    }
+    
+    return scenario;
+}
+
+/**
+ * Fill the form from a scenario; inputs it leaves out keep their current values
+ * and a choice the page does not offer is skipped
+ */
+function applyScenario(scenario) {
+    const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+    
+    Object.entries(SCENARIO_FIELDS).forEach(([key, id]) => {
+        const input = document.getElementById(id);
+        if (scenario[key] === undefined) return;
+        if (input.tagName === 'SELECT' && !hasOption(input, scenario[key])) return;
+        input.value = scenario[key];
+    });
+    
+    Object.entries(SCENARIO_CHOICES).forEach(([key, name]) => {
+        const radio = Array.from(document.querySelectorAll(`input[name="${name}"]`))
+            .find(input => input.value === scenario[key]);
+        if (radio) {
+            radio.checked = true;
+        }
+    });
+    
+    strategyLegs = (scenario.legs || []).map(leg => ({ ...leg }));
+    elements.strategyEnabled.checked = Boolean(scenario.strategy);
+    renderStrategyLegs();
+    if (scenario.view && hasOption(elements.treeView, scenario.view)) {
+        elements.treeView.value = scenario.view;
+    }
+    
+    hideScenarioError();
+}
+
+/**
+ * Keep the address bar in step with the inputs so the page link reproduces the tree
+ */
+function updateScenarioLink() {
+    try {
+        history.replaceState(null, '', `${window.location.pathname}?${encodeScenarioQuery(getScenario())}`);
+    } catch (e) {
+        // Some browsers refuse to rewrite file:// addresses; Copy Link still works
+    }
+}
+
+function getScenarioLink() {
+    const url = new URL(window.location.href);
+    url.search = encodeScenarioQuery(getScenario());
+    return url.toString();
+}
+
+function copyScenarioLink() {
+    const link = getScenarioLink();
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).catch(() => window.prompt('Copy this link:', link));
+    } else {
+        window.prompt('Copy this link:', link);
+    }
+}
+
+function renderScenarioLibrary(selected = '') {
+    const names = Object.keys(loadScenarioLibrary()).sort((a, b) => a.localeCompare(b));
+    
+    elements.scenarioLibrary.innerHTML = `<option value="">${names.length > 0 ? 'Load a scenario…' : 'None saved'}</option>`;
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        elements.scenarioLibrary.appendChild(option);
+    });
+    
+    elements.scenarioLibrary.value = names.includes(selected) ? selected : '';
+    elements.deleteScenarioBtn.disabled = !elements.scenarioLibrary.value;
+}
+
+function saveScenario() {
+    const name = elements.scenarioName.value.trim();
+    if (!name) {
+        showScenarioError('Enter a name to save the scenario under');
+        return;
+    }
+    
+    const library = loadScenarioLibrary();
+    library[name] = getScenario();
+    saveScenarioLibrary(library);
+    renderScenarioLibrary(name);
+    hideScenarioError();
+}
+
+function loadSavedScenario() {
+    const name = elements.scenarioLibrary.value;
+    elements.deleteScenarioBtn.disabled = !name;
+    if (!name) return;
+    
+    const scenario = loadScenarioLibrary()[name];
+    if (!scenario) return;
+    
+    elements.scenarioName.value = name;
+    applyScenario(scenario);
+    calculate();
+}
+
+function deleteScenario() {
+    const name = elements.scenarioLibrary.value;
+    if (!name) return;
+    
+    const library = loadScenarioLibrary();
+    delete library[name];
+    saveScenarioLibrary(library);
+    renderScenarioLibrary();
+}
+
+function exportScenarioJSON() {
+    const name = elements.scenarioName.value.trim();
+    const filename = (name.replace(/[^\w-]+/g, '-') || 'binomial-tree-scenario') + '.json';
+    downloadFile(JSON.stringify(getScenario(), null, 2), 'application/json', filename);
+}
+
+function importScenarioJSON(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            applyScenario(normalizeScenario(JSON.parse(reader.result)));
+            elements.scenarioName.value = file.name.replace(/\.json$/i, '');
+            calculate();
+        } catch (e) {
+            showScenarioError(`Could not import ${file.name}: ${e.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function showScenarioError(message) {
+    elements.scenarioError.textContent = message;
+    elements.scenarioError.style.display = 'block';
+}
+
+function hideScenarioError() {
+    elements.scenarioError.style.display = 'none';
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
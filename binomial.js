@@ -12,6 +12,120 @@ function calculateCRRParams(S, K, r, q, sigma, T, N) {
     return { dt, u, d, p, discount: Math.exp(-r * dt) };
 }
 
+/**
+ * Calculate Jarrow-Rudd (equal-probability) parameters
+ * The drift is carried by u and d so that p is exactly one half
+ */
+function calculateJRParams(S, K, r, q, sigma, T, N) {
+    const dt = T / N;
+    const drift = (r - q - 0.5 * sigma * sigma) * dt;
+    const u = Math.exp(drift + sigma * Math.sqrt(dt));
+    const d = Math.exp(drift - sigma * Math.sqrt(dt));
+    
+    return { dt, u, d, p: 0.5, discount: Math.exp(-r * dt) };
+}
+
+/**
+ * Calculate Tian (moment-matching) parameters
+ * Matches the first three moments of the lognormal step distribution
+ */
+function calculateTianParams(S, K, r, q, sigma, T, N) {
+    const dt = T / N;
+    const M = Math.exp((r - q) * dt);
+    const V = Math.exp(sigma * sigma * dt);
+    const root = Math.sqrt(V * V + 2 * V - 3);
+    const u = 0.5 * M * V * (V + 1 + root);
+    const d = 0.5 * M * V * (V + 1 - root);
+    const p = (M - d) / (u - d);
+    
+    return { dt, u, d, p, discount: Math.exp(-r * dt) };
+}
+
+/**
+ * Peizer-Pratt method 2 inversion of the normal CDF onto an n-step binomial
+ */
+function peizerPratt(z, n) {
+    const a = z / (n + 1 / 3 + 0.1 / (n + 1));
+    const sign = z < 0 ? -1 : 1;
+    return 0.5 + sign * 0.5 * Math.sqrt(1 - Math.exp(-a * a * (n + 1 / 6)));
+}
+
+/**
+ * Calculate Leisen-Reimer parameters
+ * N must be odd so that the tree is centred on the strike
+ */
+function calculateLRParams(S, K, r, q, sigma, T, N) {
+    const dt = T / N;
+    const sqrtT = sigma * Math.sqrt(T);
+    const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / sqrtT;
+    const d2 = d1 - sqrtT;
+    
+    const M = Math.exp((r - q) * dt);
+    const p = peizerPratt(d2, N);
+    const pBar = peizerPratt(d1, N);
+    const u = M * pBar / p;
+    const d = (M - p * u) / (1 - p);
+    
+    return { dt, u, d, p, discount: Math.exp(-r * dt) };
+}
+
+/**
+ * Lattice parameterizations available to the binomial tree
+ */
+const LATTICE_MODELS = {
+    crr: { name: 'Cox-Ross-Rubinstein', label: 'CRR', calculate: calculateCRRParams },
+    jr: { name: 'Jarrow-Rudd', label: 'JR', calculate: calculateJRParams },
+    tian: { name: 'Tian', label: 'Tian', calculate: calculateTianParams },
+    lr: { name: 'Leisen-Reimer', label: 'LR', calculate: calculateLRParams, oddSteps: true }
+};
+
+/**
+ * Number of steps actually used by a model
+ * Leisen-Reimer rounds an even N up to the next odd number
+ */
+function getModelSteps(model, N) {
+    const spec = LATTICE_MODELS[model] || LATTICE_MODELS.crr;
+    return spec.oddSteps && N % 2 === 0 ? N + 1 : N;
+}
+
+/**
+ * Calculate u/d/p for the selected lattice model
+ * rateBump is the part of r added by a rho reprice: the nodes are placed as for
+ * r - rateBump and only p and the discount move with it, since models that
+ * carry the drift in u and d (Jarrow-Rudd, Tian) would otherwise re-snap the
+ * nodes around the strike and rho would measure that instead
+ */
+function calculateLatticeParams(model, S, K, r, q, sigma, T, N, rateBump = 0) {
+    const key = LATTICE_MODELS[model] ? model : 'crr';
+    const spec = LATTICE_MODELS[key];
+    const steps = getModelSteps(key, N);
+    const lattice = spec.calculate(S, K, r - rateBump, q, sigma, T, steps);
+    
+    if (rateBump) {
+        const { dt, u, d } = lattice;
+        lattice.p += (Math.exp((r - q) * dt) - Math.exp((r - rateBump - q) * dt)) / (u - d);
+        lattice.discount = Math.exp(-r * dt);
+    }
+    
+    return { ...lattice, model: key, name: spec.name, label: spec.label, N: steps, branches: 2 };
+}
+
+/**
+ * Probabilities and discount factor for the move from step i to i + 1
+ * Flat inputs use the lattice values; term structures give each step its own
+ */
+function getStepParams(lattice, i) {
+    return lattice.steps ? lattice.steps[i] : lattice;
+}
+
+/**
+ * Transition probabilities for step i, where probs[b] moves state j to j + b
+ */
+function getStepProbs(lattice, i) {
+    const step = getStepParams(lattice, i);
+    return lattice.branches === 3 ? [step.pd, step.pm, step.pu] : [1 - step.p, step.p];
+}
+
 /**
  * Build the stock price tree
  * Returns a 2D array where tree[i][j] is the stock price at step i, state j
@@ -31,10 +145,130 @@ function buildStockTree(S, u, d, N) {
     return tree;
 }
 
+/**
+ * Present value at time t of the cash dividends going ex after t and up to T
+ * dividends is a list of { time, amount } with time in years; rates is an
+ * optional zero-rate curve t => rate that replaces the flat rate r
+ */
+function dividendPV(dividends, r, t, T, rates = null) {
+    let pv = 0;
+    
+    for (const dividend of dividends || []) {
+        if (dividend.time > t && dividend.time <= T) {
+            const growth = rates
+                ? rates(dividend.time) * dividend.time - rates(t) * t
+                : r * (dividend.time - t);
+            pv += dividend.amount * Math.exp(-growth);
+        }
+    }
+    
+    return pv;
+}
+
+/**
+ * Dividends paid during the life of the option, with the first step at which
+ * the tree is ex-dividend
+ */
+function getDividendSchedule(dividends, r, T, dt, rates = null) {
+    return (dividends || [])
+        .filter(dividend => dividend.time > 0 && dividend.time <= T)
+        .sort((a, b) => a.time - b.time)
+        .map(dividend => ({
+            time: dividend.time,
+            amount: dividend.amount,
+            step: Math.ceil(dividend.time / dt - 1e-9),
+            pv: dividendPV([dividend], r, 0, T, rates)
+        }));
+}
+
+/**
+ * Escrowed-dividend adjustment: the lattice is built on S minus the PV of the
+ * dividends, and each node adds back the PV of the dividends still to come.
+ * The stock price therefore drops by the dividend at its ex-date step.
+ */
+function applyEscrowedDividends(stockTree, dividends, r, dt, T, rates = null) {
+    if (!dividends || dividends.length === 0) return stockTree;
+    
+    return stockTree.map((row, i) => {
+        const pv = dividendPV(dividends, r, i * dt, T, rates);
+        return row.map(price => price + pv);
+    });
+}
+
+/**
+ * Payoff registry
+ * Each entry maps (S, K, isCall, spec) to a value; spec carries the extra inputs
+ * (cash amount, trigger, power or expression) listed in `inputs`
+ */
+const PAYOFFS = {
+    vanilla: {
+        name: 'Vanilla',
+        inputs: [],
+        evaluate: (S, K, isCall) => isCall ? Math.max(S - K, 0) : Math.max(K - S, 0)
+    },
+    'cash-or-nothing': {
+        name: 'Cash-or-Nothing Digital',
+        inputs: ['cash'],
+        evaluate: (S, K, isCall, spec) => (isCall ? S > K : S < K) ? spec.cash : 0
+    },
+    'asset-or-nothing': {
+        name: 'Asset-or-Nothing Digital',
+        inputs: [],
+        evaluate: (S, K, isCall) => (isCall ? S > K : S < K) ? S : 0
+    },
+    gap: {
+        name: 'Gap',
+        inputs: ['trigger'],
+        evaluate: (S, K, isCall, spec) => {
+            if (isCall) {
+                return S > spec.trigger ? S - K : 0;
+            }
+            return S < spec.trigger ? K - S : 0;
+        }
+    },
+    power: {
+        name: 'Power',
+        inputs: ['power'],
+        evaluate: (S, K, isCall, spec) => {
+            const Sn = Math.pow(S, spec.power);
+            return isCall ? Math.max(Sn - K, 0) : Math.max(K - Sn, 0);
+        }
+    },
+    custom: {
+        name: 'Custom Expression',
+        inputs: ['expression'],
+        evaluate: (S, K, isCall, spec) => spec.compiled(S, K)
+    }
+};
+
+/**
+ * Normalise a payoff spec, compiling custom expressions once up front
+ * Returns null for a vanilla payoff; throws if a custom expression is invalid
+ */
+function getPayoffSpec(spec) {
+    if (!spec || !PAYOFFS[spec.type] || spec.type === 'vanilla') return null;
+    
+    const normalised = { type: spec.type };
+    PAYOFFS[spec.type].inputs.forEach(input => {
+        normalised[input] = spec[input];
+    });
+    
+    if (spec.type === 'custom') {
+        normalised.compiled = compilePayoffExpression(spec.expression);
+    }
+    
+    return normalised;
+}
+
 /**
  * Calculate option payoff at expiration
+ * spec selects a payoff from PAYOFFS; without one the payoff is a vanilla call or put
  */
-function payoff(S, K, isCall) {
+function payoff(S, K, isCall, spec = null) {
+    if (spec) {
+        return PAYOFFS[spec.type].evaluate(S, K, isCall, spec);
+    }
+    
     if (isCall) {
         return Math.max(S - K, 0);
     } else {
@@ -42,10 +276,84 @@ function payoff(S, K, isCall) {
     }
 }
 
+/**
+ * Single-barrier option types
+ */
+const BARRIER_TYPES = {
+    'up-out': { name: 'Up-and-Out', direction: 'up', knockIn: false },
+    'down-out': { name: 'Down-and-Out', direction: 'down', knockIn: false },
+    'up-in': { name: 'Up-and-In', direction: 'up', knockIn: true },
+    'down-in': { name: 'Down-and-In', direction: 'down', knockIn: true }
+};
+
+/**
+ * Normalise a barrier spec to { type, level, rebate }, or null for a vanilla option
+ */
+function getBarrier(barrier) {
+    if (!barrier || !BARRIER_TYPES[barrier.type]) return null;
+    
+    return { type: barrier.type, level: barrier.level, rebate: barrier.rebate || 0 };
+}
+
+/**
+ * Check whether a stock price is on or beyond the barrier
+ */
+function isBarrierHit(S, barrier) {
+    return BARRIER_TYPES[barrier.type].direction === 'up' ? S >= barrier.level : S <= barrier.level;
+}
+
+/**
+ * Flag every node that touches the barrier
+ */
+function buildBarrierHits(stockTree, barrier) {
+    return stockTree.map(row => row.map(S => isBarrierHit(S, barrier)));
+}
+
+/**
+ * Value a knock-in option from the tree of the vanilla option it turns into.
+ * Nodes on the barrier take the vanilla value; if the barrier is never touched
+ * the rebate is paid at expiry. Works on binomial and trinomial lattices.
+ */
+function priceKnockIn(stockTree, vanillaTree, barrier, lattice, N) {
+    const optionTree = [];
+    
+    for (let i = N; i >= 0; i--) {
+        optionTree[i] = [];
+        const probs = i < N ? getStepProbs(lattice, i) : null;
+        const discount = i < N ? getStepParams(lattice, i).discount : null;
+        for (let j = 0; j < stockTree[i].length; j++) {
+            if (isBarrierHit(stockTree[i][j], barrier)) {
+                optionTree[i][j] = vanillaTree[i][j];
+            } else if (i === N) {
+                optionTree[i][j] = barrier.rebate;
+            } else {
+                let expected = 0;
+                for (let b = 0; b < probs.length; b++) {
+                    expected += probs[b] * optionTree[i + 1][j + b];
+                }
+                optionTree[i][j] = discount * expected;
+            }
+        }
+    }
+    
+    return optionTree;
+}
+
+/**
+ * Early-exercise flags of a knock-in: nodes on the barrier are the vanilla
+ * option and keep its flags, nodes off it never exercise
+ */
+function getKnockInExercise(stockTree, vanillaExercise, barrier) {
+    return stockTree.map((row, i) => row.map((S, j) => isBarrierHit(S, barrier) && vanillaExercise[i][j]));
+}
+
 /**
  * Price European option using backward induction
+ * Each step uses its own probability and discount factor (see getStepParams).
+ * With a knock-out barrier, nodes on the barrier are worth the rebate.
+ * payoffSpec selects a payoff from PAYOFFS (vanilla when null).
  */
-function priceEuropean(stockTree, K, p, discount, isCall, N) {
+function priceEuropean(stockTree, K, lattice, isCall, N, knockOut = null, payoffSpec = null) {
     const optionTree = [];
     const earlyExercise = []; // Not used for European, but keep for consistency
     
@@ -57,13 +365,22 @@ function priceEuropean(stockTree, K, p, discount, isCall, N) {
     
     // Terminal payoffs
     for (let j = 0; j <= N; j++) {
-        optionTree[N][j] = payoff(stockTree[N][j], K, isCall);
+        optionTree[N][j] = knockOut && isBarrierHit(stockTree[N][j], knockOut)
+            ? knockOut.rebate
+            : payoff(stockTree[N][j], K, isCall, payoffSpec);
         earlyExercise[N][j] = false;
     }
     
     // Backward induction
     for (let i = N - 1; i >= 0; i--) {
+        const { p, discount } = getStepParams(lattice, i);
         for (let j = 0; j <= i; j++) {
+            if (knockOut && isBarrierHit(stockTree[i][j], knockOut)) {
+                optionTree[i][j] = knockOut.rebate;
+                earlyExercise[i][j] = false;
+                continue;
+            }
+            
             const holdValue = discount * (p * optionTree[i + 1][j + 1] + (1 - p) * optionTree[i + 1][j]);
             optionTree[i][j] = holdValue;
             earlyExercise[i][j] = false;
@@ -73,10 +390,39 @@ function priceEuropean(stockTree, K, p, discount, isCall, N) {
     return { optionTree, earlyExercise };
 }
 
+/**
+ * Steps at which early exercise is allowed, or null when every step is (American)
+ * A Bermudan schedule is { dates: [years...] } and/or { every: k steps };
+ * dates snap to the nearest step and expiry is never counted as early exercise
+ */
+function getExerciseSteps(bermudan, N, dt) {
+    if (!bermudan) return null;
+    
+    const steps = new Array(N + 1).fill(false);
+    
+    if (bermudan.every > 0) {
+        for (let i = bermudan.every; i < N; i += bermudan.every) {
+            steps[i] = true;
+        }
+    }
+    
+    (bermudan.dates || []).forEach(time => {
+        const i = Math.round(time / dt);
+        if (i > 0 && i < N) {
+            steps[i] = true;
+        }
+    });
+    
+    return steps;
+}
+
 /**
  * Price American option using backward induction with early exercise
+ * With a knock-out barrier, nodes on the barrier are worth the rebate.
+ * exerciseSteps restricts early exercise to a Bermudan schedule and
+ * payoffSpec selects a payoff from PAYOFFS (vanilla when null).
  */
-function priceAmerican(stockTree, K, p, discount, isCall, N) {
+function priceAmerican(stockTree, K, lattice, isCall, N, knockOut = null, exerciseSteps = null, payoffSpec = null) {
     const optionTree = [];
     const earlyExercise = [];
     
@@ -88,17 +434,27 @@ function priceAmerican(stockTree, K, p, discount, isCall, N) {
     
     // Terminal payoffs
     for (let j = 0; j <= N; j++) {
-        optionTree[N][j] = payoff(stockTree[N][j], K, isCall);
+        optionTree[N][j] = knockOut && isBarrierHit(stockTree[N][j], knockOut)
+            ? knockOut.rebate
+            : payoff(stockTree[N][j], K, isCall, payoffSpec);
         earlyExercise[N][j] = false; // Terminal nodes are not early exercise
     }
     
     // Backward induction with early exercise check
     for (let i = N - 1; i >= 0; i--) {
+        const { p, discount } = getStepParams(lattice, i);
         for (let j = 0; j <= i; j++) {
+            if (knockOut && isBarrierHit(stockTree[i][j], knockOut)) {
+                optionTree[i][j] = knockOut.rebate;
+                earlyExercise[i][j] = false;
+                continue;
+            }
+            
             const holdValue = discount * (p * optionTree[i + 1][j + 1] + (1 - p) * optionTree[i + 1][j]);
-            const exerciseValue = payoff(stockTree[i][j], K, isCall);
+            const canExercise = !exerciseSteps || exerciseSteps[i];
+            const exerciseValue = payoff(stockTree[i][j], K, isCall, payoffSpec);
             
-            if (exerciseValue > holdValue) {
+            if (canExercise && exerciseValue > holdValue) {
                 optionTree[i][j] = exerciseValue;
                 earlyExercise[i][j] = true;
             } else {
@@ -149,6 +505,159 @@ function calculateGamma(stockTree, optionTree) {
     return (deltaUp - deltaDown) / h;
 }
 
+/**
+ * Calculate Theta from the tree
+ * Theta = (V_mid(t=2) - V_0 - delta * dS - 0.5 * gamma * dS^2) / (2 * dt), dS = S_mid(t=2) - S_0
+ * The t=2 middle node only sits at the spot price when u * d = 1 with no drift
+ * shift (CRR); elsewhere (Jarrow-Rudd, Tian) the spot move is taken out with the
+ * tree's own delta and gamma so it does not leak into theta
+ */
+function calculateTheta(stockTree, optionTree, dt, delta, gamma) {
+    if (optionTree.length < 3) return 0;
+    
+    const middle = (optionTree[2].length - 1) / 2;
+    const dS = stockTree[2][middle] - stockTree[0][0];
+    
+    return (optionTree[2][middle] - optionTree[0][0] - delta * dS - 0.5 * gamma * dS * dS) / (2 * dt);
+}
+
+/**
+ * Bump sizes for the bump-and-reprice Greeks
+ */
+const GREEK_BUMPS = {
+    sigma: 0.01,
+    r: 0.0001
+};
+
+/**
+ * Calculate Vega and Rho by central bump-and-reprice
+ * pricer is the pricing function the base result came from
+ */
+function calculateBumpGreeks(params, pricer) {
+    const reprice = overrides => pricer({ ...params, ...overrides, skipBumpGreeks: true }).price;
+    
+    // Term structures shift in parallel with the flat input they replace
+    const bump = (key, curve, h) => ({
+        [key]: params[key] + h,
+        termStructure: shiftTermStructure(params.termStructure, curve, h)
+    });
+    
+    // Keep the down-bumped volatility positive
+    const vols = params.termStructure ? (params.termStructure.vols || []).map(point => point.value) : [];
+    const hSigma = Math.min(GREEK_BUMPS.sigma, Math.min(params.sigma, ...vols) / 2);
+    const vega = (reprice(bump('sigma', 'vols', hSigma)) - reprice(bump('sigma', 'vols', -hSigma))) / (2 * hSigma);
+    
+    const hRate = GREEK_BUMPS.r;
+    const rho = (reprice({ ...bump('r', 'rates', hRate), rateBump: hRate }) -
+        reprice({ ...bump('r', 'rates', -hRate), rateBump: -hRate })) / (2 * hRate);
+    
+    return { vega, rho };
+}
+
+/**
+ * How the value at node (i, j) was reached, for the node inspector
+ * Lists the children with their probabilities, the discounted hold value and,
+ * where early exercise is allowed, the exercise value it was compared with
+ */
+function getNodeBreakdown(params, result, i, j) {
+    const { stockTree, optionTree, lattice } = result;
+    const N = stockTree.length - 1;
+    const barrier = result.barrier;
+    
+    const node = {
+        step: i,
+        state: j,
+        time: i * lattice.dt,
+        stockPrice: stockTree[i][j],
+        optionValue: optionTree[i][j],
+        isTerminal: i === N,
+        barrierHit: Boolean(result.barrierHits && result.barrierHits[i][j]),
+        knockIn: Boolean(barrier && BARRIER_TYPES[barrier.type].knockIn),
+        earlyExercise: Boolean(result.earlyExercise && result.earlyExercise[i][j]),
+        children: [],
+        discount: null,
+        holdValue: null,
+        exerciseValue: null
+    };
+    
+    if (i < N) {
+        node.discount = getStepParams(lattice, i).discount;
+        node.children = getStepProbs(lattice, i).map((prob, b) => ({
+            state: j + b,
+            prob,
+            stockPrice: stockTree[i + 1][j + b],
+            optionValue: optionTree[i + 1][j + b]
+        }));
+        node.holdValue = node.discount * node.children.reduce((sum, child) => sum + child.prob * child.optionValue, 0);
+    }
+    
+    // Strategies exercise leg by leg and knock-ins only once the barrier is touched
+    const canExercise = params.isAmerican && !result.isStrategy && !node.knockIn && !node.barrierHit &&
+        i < N && (!result.exerciseSteps || result.exerciseSteps[i]);
+    if (canExercise) {
+        node.exerciseValue = payoff(node.stockPrice, params.K, params.isCall, result.payoff);
+    }
+    
+    return node;
+}
+
+/**
+ * Risk-neutral probability of reaching each node of a priced tree, in a tree of
+ * the same shape
+ * The root is reached for certain and each node hands its probability on to its
+ * children by the branch probabilities, so the binomial weights come out step
+ * by step and per-step probabilities under term structures are followed exactly.
+ */
+function getNodeProbabilities(result) {
+    const { stockTree, lattice } = result;
+    const probabilities = [[1]];
+    
+    for (let i = 0; i < stockTree.length - 1; i++) {
+        const probs = getStepProbs(lattice, i);
+        const next = new Array(stockTree[i + 1].length).fill(0);
+        probabilities[i].forEach((reach, j) => {
+            probs.forEach((prob, b) => {
+                next[j + b] += reach * prob;
+            });
+        });
+        probabilities.push(next);
+    }
+    
+    return probabilities;
+}
+
+/**
+ * Risk-neutral distribution of the stock at expiry, from the terminal column
+ * Returns the nodes ({ price, probability, payoff }, lowest price first) with
+ * the expected price, the expected payoff and its present value, and the
+ * probability of expiring in the money (a payoff above zero)
+ */
+function getTerminalDistribution(result, probabilities = getNodeProbabilities(result)) {
+    const { stockTree, optionTree, lattice } = result;
+    const N = stockTree.length - 1;
+    
+    const nodes = stockTree[N].map((price, j) => ({
+        price,
+        probability: probabilities[N][j],
+        payoff: optionTree[N][j]
+    })).sort((a, b) => a.price - b.price);
+    
+    let discount = 1;
+    for (let i = 0; i < N; i++) {
+        discount *= getStepParams(lattice, i).discount;
+    }
+    
+    const expectedPayoff = nodes.reduce((sum, node) => sum + node.probability * node.payoff, 0);
+    
+    return {
+        nodes,
+        expectedPrice: nodes.reduce((sum, node) => sum + node.probability * node.price, 0),
+        expectedPayoff,
+        presentValue: expectedPayoff * discount,
+        itmProbability: nodes.reduce((sum, node) => sum + (node.payoff > 0 ? node.probability : 0), 0)
+    };
+}
+
 /**
  * Get list of early exercise nodes
  */
@@ -156,7 +665,7 @@ function getEarlyExerciseNodes(stockTree, optionTree, earlyExercise, N) {
     const nodes = [];
     
     for (let i = 0; i < N; i++) { // Exclude terminal nodes
-        for (let j = 0; j <= i; j++) {
+        for (let j = 0; j < stockTree[i].length; j++) {
             if (earlyExercise[i][j]) {
                 nodes.push({
                     step: i,
@@ -171,26 +680,374 @@ function getEarlyExerciseNodes(stockTree, optionTree, earlyExercise, N) {
     return nodes;
 }
 
+/**
+ * Critical stock price at each step with early exercise, from the exercised nodes
+ * The critical node is the exercised node nearest the hold region: the lowest
+ * exercised price for a call and the highest for a put
+ */
+function getExerciseBoundary(earlyExerciseNodes, dt, isCall) {
+    const boundary = [];
+    
+    earlyExerciseNodes.forEach(node => {
+        let point = boundary[boundary.length - 1];
+        if (!point || point.step !== node.step) {
+            point = {
+                step: node.step,
+                time: node.step * dt,
+                state: node.state,
+                criticalPrice: node.stockPrice,
+                lowest: node.stockPrice,
+                highest: node.stockPrice
+            };
+            boundary.push(point);
+        }
+        
+        point.lowest = Math.min(point.lowest, node.stockPrice);
+        point.highest = Math.max(point.highest, node.stockPrice);
+        if (isCall ? node.stockPrice < point.criticalPrice : node.stockPrice > point.criticalPrice) {
+            point.criticalPrice = node.stockPrice;
+            point.state = node.state;
+        }
+    });
+    
+    return boundary;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Hart's double-precision approximation (as given by West, 2005)
+ */
+function normalCDF(x) {
+    const z = Math.abs(x);
+    let c = 0;
+    
+    if (z <= 37) {
+        const e = Math.exp(-z * z / 2);
+        if (z < 7.07106781186547) {
+            let n = 3.52624965998911e-2 * z + 0.700383064443688;
+            n = n * z + 6.37396220353165;
+            n = n * z + 33.912866078383;
+            n = n * z + 112.079291497871;
+            n = n * z + 221.213596169931;
+            n = n * z + 220.206867912376;
+            let m = 8.83883476483184e-2 * z + 1.75566716318264;
+            m = m * z + 16.064177579207;
+            m = m * z + 86.7807322029461;
+            m = m * z + 296.564248779674;
+            m = m * z + 637.333633378831;
+            m = m * z + 793.826512519948;
+            m = m * z + 440.413735824752;
+            c = e * n / m;
+        } else {
+            let b = z + 0.65;
+            b = z + 4 / b;
+            b = z + 3 / b;
+            b = z + 2 / b;
+            b = z + 1 / b;
+            c = e / b / 2.506628274631;
+        }
+    }
+    
+    return x > 0 ? 1 - c : c;
+}
+
+/**
+ * Black-Scholes-Merton price of a European option with dividend yield q
+ */
+function blackScholesPrice(S, K, r, q, sigma, T, isCall) {
+    const volSqrtT = sigma * Math.sqrt(T);
+    const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / volSqrtT;
+    const d2 = d1 - volSqrtT;
+    
+    if (isCall) {
+        return S * Math.exp(-q * T) * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
+    } else {
+        return K * Math.exp(-r * T) * normalCDF(-d2) - S * Math.exp(-q * T) * normalCDF(-d1);
+    }
+}
+
+/**
+ * Tree price for every step count from 1 to maxN
+ * Models that adjust N (Leisen-Reimer) report the steps actually used;
+ * step counts whose lattice is not arbitrage-free get a null price rather
+ * than the meaningless one the tree would give.
+ * onProgress(n, maxN) is called after each price
+ */
+function calculateConvergence(params, maxN, pricer = priceBinomialTree, onProgress = null) {
+    const points = [];
+    
+    for (let n = 1; n <= maxN; n++) {
+        if (findInvalidProbability(params, n)) {
+            points.push({ N: buildLattice(params, n).N, price: null });
+        } else {
+            const result = pricer({ ...params, N: n, skipBumpGreeks: true });
+            points.push({ N: result.lattice.N, price: result.price });
+        }
+        if (onProgress) {
+            onProgress(n, maxN);
+        }
+    }
+    
+    return points;
+}
+
+/**
+ * No-arbitrage bounds for an option price
+ * American options are also bounded below by immediate exercise
+ */
+function getNoArbitrageBounds(params) {
+    const { S, K, T, isCall, isAmerican, bermudan } = params;
+    
+    // Only the vanilla payoff has the textbook bounds
+    if (getPayoffSpec(params.payoff)) {
+        return { lower: 0, upper: Infinity };
+    }
+    
+    const curves = getTermCurves(params);
+    const { r, q } = getLatticeInputs(params, curves);
+    const forwardS = S * Math.exp(-q * T) - dividendPV(params.dividends, r, 0, T, curves && curves.rates);
+    const forwardK = K * Math.exp(-r * T);
+    
+    let lower = isCall ? Math.max(forwardS - forwardK, 0) : Math.max(forwardK - forwardS, 0);
+    if (isAmerican && !bermudan) {
+        lower = Math.max(lower, payoff(S, K, isCall));
+    }
+    
+    let upper;
+    if (isCall) {
+        upper = isAmerican ? S : forwardS;
+    } else {
+        upper = isAmerican ? K : forwardK;
+    }
+    
+    // A barrier can knock the option out, so only the rebate bounds it
+    const barrier = getBarrier(params.barrier);
+    if (barrier) {
+        lower = 0;
+        upper += barrier.rebate;
+    }
+    
+    return { lower, upper };
+}
+
+/**
+ * Solver settings for implied volatility
+ */
+const IMPLIED_VOL_SOLVER = {
+    minSigma: 0.0001,
+    maxSigma: 5,
+    tolerance: 1e-8,
+    maxIterations: 100
+};
+
+/**
+ * Lowest volatility from minSigma up whose lattice is arbitrage-free, or null when
+ * none up to maxSigma is
+ * Below it the tree prices on probabilities outside [0, 1] (or, for Leisen-Reimer,
+ * on moves that collapse to NaN) and can return any value, so it cannot bracket
+ * a root; a larger volatility only widens the moves against the drift, so the
+ * edge is found by bisection
+ */
+function getMinValidSigma(params) {
+    const { minSigma, maxSigma, tolerance } = IMPLIED_VOL_SOLVER;
+    const isValid = sigma => {
+        const lattice = buildLattice({ ...params, sigma }, params.N);
+        return lattice.u > lattice.d && !findInvalidProbability({ ...params, sigma }, params.N);
+    };
+    
+    if (isValid(minSigma)) return minSigma;
+    if (!isValid(maxSigma)) return null;
+    
+    let low = minSigma;
+    let high = maxSigma;
+    while (high - low > tolerance) {
+        const mid = 0.5 * (low + high);
+        if (isValid(mid)) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    
+    return high;
+}
+
+/**
+ * Solve for the volatility that reproduces a market price
+ * Uses Brent's method on a bracket, so American early exercise needs no special
+ * handling. Returns { sigma, iterations, error } with sigma null on failure.
+ */
+function solveImpliedVolatility(params, marketPrice, pricer = priceBinomialTree) {
+    const { maxSigma, tolerance, maxIterations } = IMPLIED_VOL_SOLVER;
+    const bounds = getNoArbitrageBounds(params);
+    
+    if (params.termStructure && (params.termStructure.vols || []).length > 0) {
+        return {
+            sigma: null,
+            iterations: 0,
+            error: 'Clear the volatility term structure to solve for a flat volatility'
+        };
+    }
+    
+    if (!(marketPrice > bounds.lower && marketPrice < bounds.upper)) {
+        return {
+            sigma: null,
+            iterations: 0,
+            error: `Price ${marketPrice.toFixed(4)} is outside the no-arbitrage bounds ` +
+                `(${bounds.lower.toFixed(4)}, ${bounds.upper.toFixed(4)})`
+        };
+    }
+    
+    const minSigma = getMinValidSigma(params);
+    if (minSigma === null) {
+        return {
+            sigma: null,
+            iterations: 0,
+            error: `No volatility up to ${(maxSigma * 100).toFixed(0)}% gives an arbitrage-free lattice on this tree`
+        };
+    }
+    
+    const objective = sigma => pricer({ ...params, sigma, skipBumpGreeks: true }).price - marketPrice;
+    
+    let a = minSigma;
+    let b = maxSigma;
+    let fa = objective(a);
+    let fb = objective(b);
+    
+    if (fa * fb > 0) {
+        return {
+            sigma: null,
+            iterations: 0,
+            error: `No volatility between ${(minSigma * 100).toFixed(4)}% and ${(maxSigma * 100).toFixed(0)}% ` +
+                `reproduces ${marketPrice.toFixed(4)} on this tree`
+        };
+    }
+    
+    // Brent's method: inverse quadratic interpolation, secant or bisection
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let e = d;
+    
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        if (fb * fc > 0) {
+            c = a;
+            fc = fa;
+            d = b - a;
+            e = d;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b;
+            b = c;
+            c = a;
+            fa = fb;
+            fb = fc;
+            fc = fa;
+        }
+        
+        const tol = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+        const m = 0.5 * (c - b);
+        
+        if (Math.abs(m) <= tol || fb === 0) {
+            return { sigma: b, iterations: iteration, error: null };
+        }
+        
+        if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+            const s = fb / fa;
+            let p, q;
+            if (a === c) {
+                p = 2 * m * s;
+                q = 1 - s;
+            } else {
+                const t = fa / fc;
+                const v = fb / fc;
+                p = s * (2 * m * t * (t - v) - (b - a) * (v - 1));
+                q = (t - 1) * (v - 1) * (s - 1);
+            }
+            if (p > 0) {
+                q = -q;
+            } else {
+                p = -p;
+            }
+            if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = m;
+                e = m;
+            }
+        } else {
+            d = m;
+            e = m;
+        }
+        
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+        fb = objective(b);
+    }
+    
+    return {
+        sigma: null,
+        iterations: maxIterations,
+        error: `Solver did not converge within ${maxIterations} iterations`
+    };
+}
+
 /**
  * Main pricing function - returns all results
  */
 function priceBinomialTree(params) {
-    const { S, K, r, q, sigma, T, N, isCall, isAmerican } = params;
+    const { S, K, T, isCall, isAmerican, model, dividends } = params;
+    if (hasVolTermStructure(params)) {
+        throw new Error(BINOMIAL_VOL_CURVE_ERROR);
+    }
+    
+    // Term structures collapse to their values at expiry; the steps then vary around them
+    const curves = getTermCurves(params);
+    const { r, q, sigma } = getLatticeInputs(params, curves);
+    const rates = curves && curves.rates;
+    
+    // Cash dividends are escrowed: the lattice diffuses S less their PV
+    const escrowedS = S - dividendPV(dividends, r, 0, T, rates);
     
-    // Calculate CRR parameters
-    const crr = calculateCRRParams(S, K, r, q || 0, sigma, T, N);
+    // Calculate lattice parameters (LR may adjust the step count)
+    const lattice = applyTermStructure(
+        calculateLatticeParams(model || 'crr', escrowedS, K, r, q, sigma, T, params.N, params.rateBump), curves, T, { r, q, sigma }
+    );
+    const N = lattice.N;
     
     // Build stock price tree
-    const stockTree = buildStockTree(S, crr.u, crr.d, N);
+    const stockTree = applyEscrowedDividends(
+        buildStockTree(escrowedS, lattice.u, lattice.d, N), dividends, r, lattice.dt, T, rates
+    );
     
-    // Price the option
-    const { optionTree, earlyExercise } = isAmerican
-        ? priceAmerican(stockTree, K, crr.p, crr.discount, isCall, N)
-        : priceEuropean(stockTree, K, crr.p, crr.discount, isCall, N);
+    // Price the option; knock-ins are valued off the vanilla tree
+    const barrier = getBarrier(params.barrier);
+    const knockIn = barrier && BARRIER_TYPES[barrier.type].knockIn;
+    const knockOut = barrier && !knockIn ? barrier : null;
+    
+    // A Bermudan option is an American one restricted to its exercise steps
+    const exerciseSteps = isAmerican ? getExerciseSteps(params.bermudan, N, lattice.dt) : null;
+    
+    const payoffSpec = getPayoffSpec(params.payoff);
+    
+    let { optionTree, earlyExercise } = isAmerican
+        ? priceAmerican(stockTree, K, lattice, isCall, N, knockOut, exerciseSteps, payoffSpec)
+        : priceEuropean(stockTree, K, lattice, isCall, N, knockOut, payoffSpec);
+    
+    if (knockIn) {
+        optionTree = priceKnockIn(stockTree, optionTree, barrier, lattice, N);
+        earlyExercise = getKnockInExercise(stockTree, earlyExercise, barrier);
+    }
     
     // Calculate Greeks
     const delta = calculateDelta(stockTree, optionTree);
     const gamma = calculateGamma(stockTree, optionTree);
+    const theta = calculateTheta(stockTree, optionTree, lattice.dt, delta, gamma);
+    const { vega, rho } = params.skipBumpGreeks
+        ? { vega: null, rho: null }
+        : calculateBumpGreeks(params, priceBinomialTree);
     
     // Get early exercise info
     const earlyExerciseNodes = isAmerican
@@ -198,13 +1055,34 @@ function priceBinomialTree(params) {
         : [];
     
     return {
-        crr,
+        lattice,
         stockTree,
         optionTree,
         earlyExercise,
         price: optionTree[0][0],
         delta,
         gamma,
-        earlyExerciseNodes
+        theta,
+        vega,
+        rho,
+        earlyExerciseNodes,
+        exerciseBoundary: getExerciseBoundary(earlyExerciseNodes, lattice.dt, isCall),
+        dividendSchedule: getDividendSchedule(dividends, r, T, lattice.dt, rates),
+        barrier,
+        barrierHits: barrier ? buildBarrierHits(stockTree, barrier) : null,
+        exerciseSteps,
+        payoff: payoffSpec
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LATTICE_MODELS, calculateLatticeParams, getStepParams, getStepProbs, dividendPV,
+        getDividendSchedule, applyEscrowedDividends, PAYOFFS, getPayoffSpec, payoff, BARRIER_TYPES,
+        getBarrier, isBarrierHit, buildBarrierHits, priceKnockIn, getKnockInExercise,
+        getExerciseSteps, calculateDelta, calculateGamma, calculateTheta, calculateBumpGreeks,
+        getNodeBreakdown, getNodeProbabilities, getTerminalDistribution, getEarlyExerciseNodes,
+        getExerciseBoundary, blackScholesPrice, calculateConvergence, getNoArbitrageBounds,
+        solveImpliedVolatility, priceBinomialTree
     };
 }
@@ -0,0 +1,581 @@
+// Analysis Charts - Canvas Rendering
+
+/**
+ * Shared helpers for the small line charts below the tree
+ */
+class LineChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.data = null;
+        this.colors = null;
+        this.padding = { top: 20, right: 20, bottom: 30, left: 60 };
+    }
+    
+    setColors(colors) {
+        this.colors = colors;
+    }
+    
+    setData(data) {
+        this.data = data;
+    }
+    
+    resize() {
+        const wrapper = this.canvas.parentElement;
+        const dpr = window.devicePixelRatio || 1;
+        
+        this.canvas.width = wrapper.clientWidth * dpr;
+        this.canvas.height = wrapper.clientHeight * dpr;
+        this.canvas.style.width = wrapper.clientWidth + 'px';
+        this.canvas.style.height = wrapper.clientHeight + 'px';
+        
+        this.ctx.scale(dpr, dpr);
+        this.width = wrapper.clientWidth;
+        this.height = wrapper.clientHeight;
+    }
+    
+    /**
+     * Map data ranges onto the plot area
+     */
+    createScales(xMin, xMax, yMin, yMax) {
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+        
+        // Pad flat ranges so a constant series is still drawable
+        if (yMax - yMin < 1e-12) {
+            const pad = Math.abs(yMax) * 0.01 || 1;
+            yMin -= pad;
+            yMax += pad;
+        }
+        if (xMax === xMin) {
+            xMax = xMin + 1;
+        }
+        
+        return {
+            xMin, xMax, yMin, yMax,
+            x: v => left + (v - xMin) / (xMax - xMin) * plotWidth,
+            y: v => top + (1 - (v - yMin) / (yMax - yMin)) * plotHeight
+        };
+    }
+    
+    drawAxes(scales, xTicks, yTicks, yDecimals, xDecimals = 0) {
+        const { top, bottom, left } = this.padding;
+        
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '10px Consolas, Monaco, monospace';
+        
+        // Horizontal grid lines with price labels
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        for (let k = 0; k <= yTicks; k++) {
+            const v = scales.yMin + (scales.yMax - scales.yMin) * k / yTicks;
+            const y = scales.y(v);
+            this.ctx.beginPath();
+            this.ctx.moveTo(left, y);
+            this.ctx.lineTo(this.width - this.padding.right, y);
+            this.ctx.stroke();
+            this.ctx.fillText(v.toFixed(yDecimals), left - 6, y);
+        }
+        
+        // Step labels along the bottom
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        for (let k = 0; k <= xTicks; k++) {
+            const v = scales.xMin + (scales.xMax - scales.xMin) * k / xTicks;
+            this.ctx.fillText(v.toFixed(xDecimals), scales.x(v), this.height - bottom + 6);
+        }
+        
+        this.ctx.strokeRect(left, top, this.width - left - this.padding.right, this.height - top - bottom);
+    }
+    
+    /**
+     * Line through points, broken where a point has no value (y null)
+     */
+    drawSeries(points, scales, color, lineWidth = 1.5) {
+        if (points.length === 0) return;
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (point.y === null) {
+                drawing = false;
+                return;
+            }
+            const x = scales.x(point.x);
+            const y = scales.y(point.y);
+            if (drawing) {
+                this.ctx.lineTo(x, y);
+            } else {
+                this.ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        this.ctx.stroke();
+    }
+    
+    drawVerticalLine(value, scales, color, label) {
+        const x = scales.x(value);
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, this.padding.top);
+        this.ctx.lineTo(x, this.height - this.padding.bottom);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        if (label) {
+            this.ctx.fillStyle = color;
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(label, x + 4, this.padding.top + 18);
+        }
+    }
+    
+    drawHorizontalLine(value, scales, color, label) {
+        const y = scales.y(value);
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.padding.left, y);
+        this.ctx.lineTo(this.width - this.padding.right, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        if (label) {
+            this.ctx.fillStyle = color;
+            this.ctx.textAlign = 'right';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(label, this.width - this.padding.right - 4, y - 2);
+        }
+    }
+}
+
+/**
+ * Tree price against step count, with the Black-Scholes price as a reference
+ */
+class ConvergenceChart extends LineChart {
+    render() {
+        if (!this.data || !this.colors) return;
+        
+        this.resize();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        const { points, benchmark, currentN } = this.data;
+        const prices = points.map(point => point.price).filter(price => price !== null);
+        if (prices.length === 0) return;
+        
+        if (benchmark !== null) {
+            prices.push(benchmark);
+        }
+        
+        const scales = this.createScales(
+            points[0].N,
+            points[points.length - 1].N,
+            Math.min(...prices),
+            Math.max(...prices)
+        );
+        
+        this.drawAxes(scales, Math.min(10, points.length - 1) || 1, 4, 4);
+        
+        if (benchmark !== null) {
+            this.drawHorizontalLine(benchmark, scales, this.colors.exercise, `BS ${benchmark.toFixed(4)}`);
+        }
+        
+        this.drawSeries(points.map(point => ({ x: point.N, y: point.price })), scales, this.colors.nodeStroke, 1);
+        
+        // Mark the step count shown in the tree
+        const current = points.find(point => point.N === currentN);
+        if (current && current.price !== null) {
+            this.ctx.fillStyle = this.colors.valueText;
+            this.ctx.beginPath();
+            this.ctx.arc(scales.x(current.N), scales.y(current.price), 4, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        const skipped = points.filter(point => point.price === null).length;
+        if (skipped > 0) {
+            this.ctx.font = '10px Consolas, Monaco, monospace';
+            this.ctx.fillStyle = this.colors.barrier;
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(`${skipped} step count${skipped === 1 ? '' : 's'} not arbitrage-free, left out`,
+                this.padding.left + 6, this.padding.top + 4);
+        }
+    }
+}
+
+/**
+ * Strategy value at expiry, with the P&L after the net premium
+ */
+class PayoffChart extends LineChart {
+    render() {
+        if (!this.data || !this.colors) return;
+        
+        this.resize();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        const { points, premium, spot } = this.data;
+        if (points.length < 2) return;
+        
+        const values = [0];
+        points.forEach(point => values.push(point.payoff, point.payoff - premium));
+        
+        const scales = this.createScales(
+            points[0].S,
+            points[points.length - 1].S,
+            Math.min(...values),
+            Math.max(...values)
+        );
+        
+        this.drawAxes(scales, 8, 4, 2);
+        this.drawHorizontalLine(0, scales, this.colors.text);
+        this.drawVerticalLine(spot, scales, this.colors.valueText, `S=${spot}`);
+        
+        this.drawSeries(points.map(point => ({ x: point.S, y: point.payoff - premium })), scales, this.colors.exercise, 1);
+        this.drawSeries(points.map(point => ({ x: point.S, y: point.payoff })), scales, this.colors.nodeStroke, 2);
+        
+        this.ctx.font = '10px Consolas, Monaco, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = this.colors.nodeStroke;
+        this.ctx.fillText('Payoff', this.padding.left + 6, this.padding.top + 4);
+        this.ctx.fillStyle = this.colors.exercise;
+        this.ctx.fillText(`P&L (premium ${premium.toFixed(2)})`, this.padding.left + 60, this.padding.top + 4);
+    }
+}
+
+/**
+ * Critical stock price against time, with the strike for reference
+ */
+class ExerciseBoundaryChart extends LineChart {
+    render() {
+        if (!this.data || !this.colors) return;
+        
+        this.resize();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        const { boundary, strike, T } = this.data;
+        if (boundary.length === 0) return;
+        
+        const prices = boundary.map(point => point.criticalPrice).concat(strike);
+        const scales = this.createScales(0, T, Math.min(...prices), Math.max(...prices));
+        
+        this.drawAxes(scales, 8, 4, 2, getTickDecimals(T));
+        this.drawHorizontalLine(strike, scales, this.colors.text, `K=${strike}`);
+        
+        const points = boundary.map(point => ({ x: point.time, y: point.criticalPrice }));
+        this.drawSeries(points, scales, this.colors.exercise, 2);
+        
+        // Mark individual steps while they are far enough apart to see
+        if (points.length <= 100) {
+            this.ctx.fillStyle = this.colors.exercise;
+            points.forEach(point => {
+                this.ctx.beginPath();
+                this.ctx.arc(scales.x(point.x), scales.y(point.y), 2.5, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+        }
+    }
+}
+
+/**
+ * Most bars in the terminal distribution; beyond it terminal nodes share bars
+ */
+const DISTRIBUTION_BARS = 50;
+
+/**
+ * Risk-neutral distribution of the stock at expiry as a histogram of probability
+ * against price, the in-the-money part of each bar in the exercise colour, with
+ * the strikes and the expected price marked
+ */
+class TerminalDistributionChart extends LineChart {
+    render() {
+        if (!this.data || !this.colors) return;
+        
+        this.resize();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        const { distribution, strikes } = this.data;
+        const bins = this.getBins(distribution.nodes, strikes);
+        if (bins.length === 0) return;
+        
+        const from = bins[0].from;
+        const to = bins[bins.length - 1].to;
+        const top = Math.max(...bins.map(bin => bin.probability)) * 100;
+        const scales = this.createScales(from, to, 0, top);
+        
+        this.drawAxes(scales, 8, 4, getTickDecimals(top), getTickDecimals(to - from));
+        
+        const outColor = mixColors(this.colors.nodeFill, this.colors.nodeStroke, 0.6);
+        bins.forEach(bin => {
+            const left = scales.x(bin.from) + 1;
+            const width = Math.max(1, scales.x(bin.to) - scales.x(bin.from) - 2);
+            const base = scales.y(0);
+            const itmTop = scales.y(bin.itmProbability * 100);
+            
+            this.ctx.fillStyle = this.colors.exercise;
+            this.ctx.fillRect(left, itmTop, width, base - itmTop);
+            this.ctx.fillStyle = outColor;
+            this.ctx.fillRect(left, scales.y(bin.probability * 100), width, itmTop - scales.y(bin.probability * 100));
+        });
+        
+        strikes.forEach(strike => this.drawVerticalLine(strike, scales, this.colors.text, `K=${strike}`));
+        this.drawVerticalLine(distribution.expectedPrice, scales, this.colors.valueText);
+        
+        this.ctx.font = '10px Consolas, Monaco, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        let x = this.padding.left + 6;
+        [
+            [this.colors.exercise, `P(ITM) ${(distribution.itmProbability * 100).toFixed(2)}%`],
+            [this.colors.valueText, `E[payoff] ${distribution.expectedPayoff.toFixed(4)} (PV ${distribution.presentValue.toFixed(4)})`],
+            [this.colors.valueText, `E[S] ${distribution.expectedPrice.toFixed(2)}`]
+        ].forEach(([color, text]) => {
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(text, x, this.padding.top + 4);
+            x += this.ctx.measureText(text).width + 16;
+        });
+    }
+    
+    /**
+     * Equal-width price bins over the bulk of the distribution, as
+     * { from, to, probability, itmProbability }
+     * The bins span the 0.05% to 99.95% quantiles, widened to take in the
+     * strikes; the tails beyond fall into the end bins so the bars still sum to one
+     */
+    getBins(nodes, strikes) {
+        if (nodes.length === 0) return [];
+        
+        let cumulative = 0;
+        let low = null;
+        let high = nodes[nodes.length - 1].price;
+        for (const node of nodes) {
+            cumulative += node.probability;
+            if (low === null && cumulative >= 0.0005) {
+                low = node.price;
+            }
+            if (cumulative >= 0.9995) {
+                high = node.price;
+                break;
+            }
+        }
+        
+        let from = Math.min(low, ...strikes);
+        let to = Math.max(high, ...strikes);
+        if (to - from < 1e-9) {
+            from -= 1;
+            to += 1;
+        }
+        
+        const count = Math.min(DISTRIBUTION_BARS, nodes.length);
+        const width = (to - from) / count;
+        const bins = Array.from({ length: count }, (_, k) => ({
+            from: from + k * width,
+            to: from + (k + 1) * width,
+            probability: 0,
+            itmProbability: 0
+        }));
+        
+        nodes.forEach(node => {
+            const bin = bins[Math.min(count - 1, Math.max(0, Math.floor((node.price - from) / width)))];
+            bin.probability += node.probability;
+            if (node.payoff > 0) {
+                bin.itmProbability += node.probability;
+            }
+        });
+        
+        return bins;
+    }
+}
+
+/**
+ * Blend two #rgb or #rrggbb colours, t = 0 giving a and t = 1 giving b
+ */
+function mixColors(a, b, t) {
+    const parse = color => {
+        const hex = color.replace('#', '');
+        const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+        return [0, 2, 4].map(k => parseInt(full.slice(k, k + 2), 16));
+    };
+    const from = parse(a);
+    const to = parse(b);
+    
+    return '#' + from.map((c, k) => Math.round(c + (to[k] - c) * t).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decimals for axis labels spanning a range
+ */
+function getTickDecimals(range) {
+    const span = Math.abs(range);
+    if (span >= 10) return 0;
+    return span >= 1 ? 1 : 2;
+}
+
+/**
+ * A sweep of price or a Greek over one or two inputs, drawn as one line per
+ * value of the second input or as a heatmap
+ */
+class SensitivityChart extends LineChart {
+    constructor(canvas) {
+        super(canvas);
+        this.padding = { top: 20, right: 90, bottom: 40, left: 60 };
+    }
+    
+    render() {
+        if (!this.data || !this.colors) return;
+        
+        this.resize();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        const { sweep, output, mode } = this.data;
+        const values = sweep.grid.flat().map(cell => cell[output]).filter(Number.isFinite);
+        if (values.length === 0) return;
+        
+        if (mode === 'heatmap' && sweep.y) {
+            this.drawHeatmap(sweep, output, Math.min(...values), Math.max(...values));
+        } else {
+            this.drawLines(sweep, output, Math.min(...values), Math.max(...values));
+        }
+    }
+    
+    /**
+     * Colour for t in [0, 1] on a scale through the theme's grid, node and exercise colours
+     */
+    getScaleColor(t) {
+        return t < 0.5
+            ? mixColors(this.colors.grid, this.colors.nodeStroke, t * 2)
+            : mixColors(this.colors.nodeStroke, this.colors.exercise, t * 2 - 1);
+    }
+    
+    drawLines(sweep, output, min, max) {
+        const { x, y, grid } = sweep;
+        const scales = this.createScales(x.values[0], x.values[x.values.length - 1], min, max);
+        const decimals = SWEEP_OUTPUTS[output].decimals;
+        
+        this.drawAxes(scales, Math.min(8, x.values.length - 1), 4, Math.min(decimals, 4), getTickDecimals(x.to - x.from));
+        this.drawAxisTitles(SWEEP_INPUTS[x.key].name, SWEEP_OUTPUTS[output].name);
+        
+        grid.forEach((row, k) => {
+            const color = grid.length > 1 ? this.getScaleColor(k / (grid.length - 1)) : this.colors.nodeStroke;
+            const points = row.map((cell, column) => ({ x: x.values[column], y: cell[output] }));
+            this.drawSeries(points, scales, color, 1.5);
+            
+            // Label each line at its last priced point with its value of the second
+            // input, thinned when crowded
+            const every = Math.ceil(grid.length / 10);
+            const last = points.filter(point => point.y !== null).pop();
+            if (y && last && (k % every === 0 || k === grid.length - 1)) {
+                this.ctx.fillStyle = color;
+                this.ctx.textAlign = 'left';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(`${y.key}=${y.values[k].toFixed(getTickDecimals(y.to - y.from))}`, scales.x(last.x) + 6, scales.y(last.y));
+            }
+        });
+    }
+    
+    drawHeatmap(sweep, output, min, max) {
+        const { top, right, bottom, left } = this.padding;
+        const { x, y, grid } = sweep;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+        const cellWidth = plotWidth / x.values.length;
+        const cellHeight = plotHeight / y.values.length;
+        const range = max - min || 1;
+        
+        // First y value at the bottom, as on the line charts
+        grid.forEach((row, k) => {
+            row.forEach((cell, column) => {
+                const value = cell[output];
+                this.ctx.fillStyle = Number.isFinite(value) ? this.getScaleColor((value - min) / range) : this.colors.nodeFill;
+                this.ctx.fillRect(left + column * cellWidth, top + plotHeight - (k + 1) * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+            });
+        });
+        
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(left, top, plotWidth, plotHeight);
+        
+        // Axis labels at cell centres, at most about eight per axis
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '10px Consolas, Monaco, monospace';
+        
+        const xDecimals = getTickDecimals(x.to - x.from);
+        const xEvery = Math.ceil(x.values.length / 8);
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        x.values.forEach((value, column) => {
+            if (column % xEvery !== 0) return;
+            this.ctx.fillText(value.toFixed(xDecimals), left + (column + 0.5) * cellWidth, this.height - bottom + 6);
+        });
+        
+        const yDecimals = getTickDecimals(y.to - y.from);
+        const yEvery = Math.ceil(y.values.length / 8);
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        y.values.forEach((value, k) => {
+            if (k % yEvery !== 0) return;
+            this.ctx.fillText(value.toFixed(yDecimals), left - 6, top + plotHeight - (k + 0.5) * cellHeight);
+        });
+        
+        this.drawAxisTitles(SWEEP_INPUTS[x.key].name, SWEEP_INPUTS[y.key].name);
+        this.drawColorBar(min, max, SWEEP_OUTPUTS[output]);
+    }
+    
+    drawAxisTitles(xTitle, yTitle) {
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '10px Consolas, Monaco, monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(xTitle, this.padding.left + (this.width - this.padding.left - this.padding.right) / 2, this.height - 2);
+        
+        this.ctx.save();
+        this.ctx.translate(12, this.padding.top + (this.height - this.padding.top - this.padding.bottom) / 2);
+        this.ctx.rotate(-Math.PI / 2);
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(yTitle, 0, -8);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Vertical colour scale beside the heatmap with its end values
+     */
+    drawColorBar(min, max, spec) {
+        const barX = this.width - this.padding.right + 16;
+        const barWidth = 12;
+        const top = this.padding.top;
+        const height = this.height - this.padding.top - this.padding.bottom;
+        const bands = 50;
+        
+        for (let k = 0; k < bands; k++) {
+            this.ctx.fillStyle = this.getScaleColor(1 - k / (bands - 1));
+            this.ctx.fillRect(barX, top + k * height / bands, barWidth, Math.ceil(height / bands));
+        }
+        
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(max.toFixed(Math.min(spec.decimals, 4)), barX + barWidth + 4, top);
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(min.toFixed(Math.min(spec.decimals, 4)), barX + barWidth + 4, top + height);
+    }
+}
+
+function initChart(ChartClass, canvas) {
+    const chart = new ChartClass(canvas);
+    window.addEventListener('resize', () => {
+        if (chart.data) {
+            chart.render();
+        }
+    });
+    return chart;
+}
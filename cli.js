@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+// Batch Pricing - Command-Line Tool
+
+const fs = require('fs');
+const path = require('path');
+const {
+    priceLattice,
+    priceLatticeRolling,
+    validateParams,
+    checkLattice,
+    LATTICE_MODELS,
+    TRINOMIAL_MODELS,
+    PAYOFFS,
+    BARRIER_TYPES,
+    MAX_PRICING_STEPS,
+    MAX_BUMP_STEPS
+} = require('./index.js');
+
+/**
+ * Largest step count whose full trees can be written out
+ */
+const MAX_TREE_STEPS = 2000;
+
+const RESULT_COLUMNS = ['id', 'model', 'steps', 'price', 'delta', 'gamma', 'theta', 'vega', 'rho', 'error'];
+
+const USAGE = `Usage: binomial-tree <input.csv|input.json> [options]
+
+Prices every option spec in a CSV file (one spec per row, named columns) or a
+JSON file (an array of spec objects) and writes prices and Greeks.
+
+Options:
+  -o, --output <file>    Write results to a file instead of standard output
+  -f, --format <format>  csv or json (default: from the output extension, else csv)
+  -n, --steps <N>        Steps for specs that do not give N (default: 100)
+      --trees            Include the full stock and option trees (up to ${MAX_TREE_STEPS} steps);
+                         with CSV output they go to a second file, <output>-trees.csv
+  -h, --help             Show this help
+
+Spec fields (rates, yields and volatilities are decimals, times are in years):
+  id                     Copied to the output (default: the row number)
+  S, K, sigma, T         Spot, strike, volatility and time to expiry (required)
+  r, q                   Risk-free rate and continuous dividend yield (default 0)
+  N                      Steps, up to ${MAX_PRICING_STEPS}; vega and rho are repriced on at
+                         most ${MAX_BUMP_STEPS}
+  type                   call or put (default call)
+  style                  european, american or bermudan (default european)
+  model                  ${[...Object.keys(LATTICE_MODELS), ...Object.keys(TRINOMIAL_MODELS)].join(', ')} (default crr)
+  dividends              Cash dividends as time:amount pairs separated by ';'
+  bermudanDates          Bermudan exercise dates separated by ';'
+  bermudanEvery          Bermudan exercise every this many steps
+  barrier                ${Object.keys(BARRIER_TYPES).join(', ')}
+  barrierLevel, rebate   Barrier level and the rebate paid when knocked out (or never knocked in)
+  payoff                 ${Object.keys(PAYOFFS).join(', ')} (default vanilla)
+  payoffCash, payoffTrigger, payoffPower, payoffExpression
+                         Inputs of the chosen payoff
+
+Exit status is 0 when every spec priced, 1 when some failed (their error column
+says why) and 2 when the input could not be read.
+`;
+
+/**
+ * Options from the command-line arguments
+ */
+function parseArguments(args) {
+    const options = { input: null, output: null, format: null, steps: 100, trees: false, help: false };
+    
+    for (let k = 0; k < args.length; k++) {
+        const arg = args[k];
+        const value = () => {
+            if (k + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++k];
+        };
+        
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = value();
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = value().toLowerCase();
+        } else if (arg === '-n' || arg === '--steps') {
+            options.steps = parseInt(value());
+        } else if (arg === '--trees') {
+            options.trees = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.input) {
+            throw new Error(`Unexpected argument ${arg}`);
+        } else {
+            options.input = arg;
+        }
+    }
+    
+    if (options.help) return options;
+    if (!options.input) throw new Error('No input file given');
+    if (!options.format) {
+        options.format = options.output && path.extname(options.output).toLowerCase() === '.json' ? 'json' : 'csv';
+    }
+    if (!['csv', 'json'].includes(options.format)) throw new Error(`Unknown format ${options.format}`);
+    if (!(options.steps >= 1)) throw new Error('--steps must be a positive whole number');
+    if (options.trees && options.format === 'csv' && !options.output) {
+        throw new Error('--trees with CSV output needs --output for the tree file');
+    }
+    
+    return options;
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let k = 0; k < text.length; k++) {
+        const c = text[k];
+        if (quoted) {
+            if (c === '"' && text[k + 1] === '"') {
+                field += '"';
+                k++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[k + 1] === '\n') k++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+/**
+ * Option specs from a CSV or JSON file, chosen by its extension
+ * CSV rows become objects keyed by the header; blank rows and rows starting with # are skipped
+ */
+function readSpecs(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    
+    if (path.extname(file).toLowerCase() === '.json') {
+        const specs = JSON.parse(text);
+        if (!Array.isArray(specs)) throw new Error('A JSON input must be an array of option specs');
+        return specs;
+    }
+    
+    const [header, ...rows] = parseCSV(text)
+        .filter(row => row.some(field => field.trim() !== '') && !row[0].trim().startsWith('#'));
+    if (!header) throw new Error('The CSV input is empty');
+    
+    const keys = header.map(key => key.trim());
+    return rows.map(row => {
+        const spec = {};
+        keys.forEach((key, k) => {
+            if (row[k] !== undefined && row[k].trim() !== '') {
+                spec[key] = row[k].trim();
+            }
+        });
+        return spec;
+    });
+}
+
+/**
+ * Pricing params for one spec, in the shape getParams builds from the page
+ * Throws with the validation errors, or the lattice diagnostic, when the spec cannot be priced
+ */
+function specToParams(spec, defaultSteps) {
+    const number = (key, fallback) => {
+        if (spec[key] === undefined) {
+            if (fallback === undefined) throw new Error(`${key} is required`);
+            return fallback;
+        }
+        return Number(spec[key]);
+    };
+    const choice = (key, fallback, allowed) => {
+        const value = spec[key] === undefined ? fallback : String(spec[key]).toLowerCase();
+        if (!allowed.includes(value)) throw new Error(`${key} must be one of ${allowed.join(', ')}`);
+        return value;
+    };
+    const list = key => {
+        const value = spec[key];
+        if (value === undefined) return [];
+        return Array.isArray(value) ? value : String(value).split(';').map(item => item.trim()).filter(Boolean);
+    };
+    
+    const K = number('K');
+    const style = choice('style', 'european', ['european', 'american', 'bermudan']);
+    const model = choice('model', 'crr', [...Object.keys(LATTICE_MODELS), ...Object.keys(TRINOMIAL_MODELS)]);
+    
+    const dividends = list('dividends').map(item => {
+        const [time, amount] = typeof item === 'object' ? [item.time, item.amount] : item.split(':');
+        return { time: Number(time), amount: Number(amount) };
+    });
+    
+    const bermudan = style === 'bermudan' ? {
+        dates: list('bermudanDates').map(Number),
+        every: number('bermudanEvery', 0)
+    } : null;
+    
+    const barrierType = spec.barrier === undefined ? 'none' : choice('barrier', 'none', ['none', ...Object.keys(BARRIER_TYPES)]);
+    const barrier = barrierType === 'none' ? null : {
+        type: barrierType,
+        level: number('barrierLevel'),
+        rebate: number('rebate', 0)
+    };
+    
+    const payoff = {
+        type: choice('payoff', 'vanilla', Object.keys(PAYOFFS)),
+        cash: number('payoffCash', 0),
+        trigger: number('payoffTrigger', K),
+        power: number('payoffPower', 1),
+        expression: spec.payoffExpression === undefined ? '' : String(spec.payoffExpression)
+    };
+    
+    const params = {
+        S: number('S'),
+        K,
+        r: number('r', 0),
+        q: number('q', 0),
+        sigma: number('sigma'),
+        T: number('T'),
+        N: number('N', defaultSteps),
+        isCall: choice('type', 'call', ['call', 'put']) === 'call',
+        isAmerican: style !== 'european',
+        model,
+        dividends,
+        barrier,
+        bermudan,
+        payoff,
+        termStructure: null
+    };
+    
+    const errors = validateParams(params);
+    if (errors.length > 0) {
+        throw new Error(errors.map(error => error.message).join('; '));
+    }
+    
+    const diagnostic = checkLattice(params);
+    if (diagnostic) {
+        throw new Error(diagnostic.message);
+    }
+    
+    return params;
+}
+
+/**
+ * Price every spec, keeping going past specs that fail
+ * Full trees come from the tree pricer; otherwise the rolling pricer handles any N
+ */
+function priceSpecs(specs, options) {
+    return specs.map((spec, index) => {
+        const id = spec.id !== undefined && spec.id !== '' ? String(spec.id) : String(index + 1);
+        
+        try {
+            const params = specToParams(spec, options.steps);
+            if (options.trees && params.N > MAX_TREE_STEPS) {
+                throw new Error(`N above ${MAX_TREE_STEPS} is too large to write full trees`);
+            }
+            
+            const result = options.trees ? priceLattice(params) : priceLatticeRolling(params);
+            const row = {
+                id,
+                model: params.model,
+                steps: result.lattice.N,
+                price: result.price,
+                delta: result.delta,
+                gamma: result.gamma,
+                theta: result.theta,
+                vega: result.vega,
+                rho: result.rho
+            };
+            if (options.trees) {
+                row.trees = { stock: result.stockTree, option: result.optionTree, earlyExercise: result.earlyExercise };
+            }
+            return row;
+        } catch (e) {
+            return { id, error: e.message };
+        }
+    });
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatResultsCSV(rows) {
+    return [RESULT_COLUMNS, ...rows.map(row => RESULT_COLUMNS.map(column => row[column]))]
+        .map(fields => fields.map(csvField).join(','))
+        .join('\n') + '\n';
+}
+
+function formatTreesCSV(rows) {
+    let csv = 'id,step,state,stock,option,earlyExercise\n';
+    
+    rows.filter(row => row.trees).forEach(row => {
+        const { stock, option, earlyExercise } = row.trees;
+        stock.forEach((column, i) => {
+            column.forEach((price, j) => {
+                csv += `${csvField(row.id)},${i},${j},${price},${option[i][j]},${earlyExercise[i][j] ? 1 : 0}\n`;
+            });
+        });
+    });
+    
+    return csv;
+}
+
+function main(args) {
+    let options;
+    let specs;
+    try {
+        options = parseArguments(args);
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        specs = readSpecs(options.input);
+    } catch (e) {
+        process.stderr.write(`binomial-tree: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    
+    const rows = priceSpecs(specs, options);
+    
+    if (options.format === 'json') {
+        const json = JSON.stringify(rows, null, 2) + '\n';
+        if (options.output) {
+            fs.writeFileSync(options.output, json);
+        } else {
+            process.stdout.write(json);
+        }
+    } else {
+        const csv = formatResultsCSV(rows);
+        if (options.output) {
+            fs.writeFileSync(options.output, csv);
+        } else {
+            process.stdout.write(csv);
+        }
+        if (options.trees) {
+            const parsed = path.parse(options.output);
+            fs.writeFileSync(path.join(parsed.dir, `${parsed.name}-trees.csv`), formatTreesCSV(rows));
+        }
+    }
+    
+    const failed = rows.filter(row => row.error).length;
+    process.stderr.write(`Priced ${rows.length - failed} of ${rows.length} options` +
+        (failed > 0 ? `; ${failed} failed (see the error field)` : '') + '\n');
+    
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,74 @@
+// Pricing Library - Node.js Entry Point
+
+/**
+ * The pricing core is written as plain scripts that share one scope, which is
+ * how index.html loads them in the browser. Each file also exports what the
+ * others use, so here they are required in the same order and their exports
+ * made global, and Node code prices with exactly the engine the page uses.
+ *
+ *     const { priceLattice } = require('./index.js');
+ *     const result = priceLattice({ S: 100, K: 100, r: 0.05, q: 0, sigma: 0.2, T: 1, N: 100,
+ *                                   isCall: false, isAmerican: true, model: 'crr' });
+ */
+
+/**
+ * Core files in dependency order, as index.html loads them
+ */
+const CORE_FILES = [
+    'payoff-expression.js',
+    'term-structure.js',
+    'binomial.js',
+    'trinomial.js',
+    'rolling.js',
+    'validation.js',
+    'strategy.js',
+    'sensitivity.js'
+];
+
+/**
+ * Names the library exports; everything else stays private to the core
+ */
+const CORE_EXPORTS = [
+    // Pricers
+    'priceLattice',
+    'priceBinomialTree',
+    'priceTrinomialTree',
+    'priceLatticeRolling',
+    'priceStrategy',
+    'blackScholesPrice',
+    // Analysis
+    'solveImpliedVolatility',
+    'calculateConvergence',
+    'calculateSensitivity',
+    'getNoArbitrageBounds',
+    'getNodeBreakdown',
+    'getNodeProbabilities',
+    'getTerminalDistribution',
+    'validateParams',
+    'checkLattice',
+    'createStrategyLegs',
+    'strategyPayoffAtExpiry',
+    // Lattices
+    'calculateLatticeParams',
+    'calculateTrinomialParams',
+    // Definitions
+    'LATTICE_MODELS',
+    'TRINOMIAL_MODELS',
+    'PAYOFFS',
+    'BARRIER_TYPES',
+    'TERM_CURVES',
+    'TERM_INTERPOLATIONS',
+    'STRATEGY_PRESETS',
+    'SWEEP_INPUTS',
+    'SWEEP_OUTPUTS',
+    'MAX_PRICING_STEPS',
+    'MAX_BUMP_STEPS'
+];
+
+function loadPricingCore() {
+    CORE_FILES.forEach(file => Object.assign(globalThis, require(`./${file}`)));
+    
+    return Object.fromEntries(CORE_EXPORTS.map(name => [name, globalThis[name]]));
+}
+
+module.exports = loadPricingCore();
@@ -0,0 +1,203 @@
+// Payoff Expressions - Safe Parser for User-Defined Payoffs
+
+/**
+ * Functions available inside a payoff expression
+ */
+const EXPRESSION_FUNCTIONS = {
+    max: { arity: [1, Infinity], fn: Math.max },
+    min: { arity: [1, Infinity], fn: Math.min },
+    abs: { arity: [1, 1], fn: Math.abs },
+    exp: { arity: [1, 1], fn: Math.exp },
+    log: { arity: [1, 1], fn: Math.log },
+    sqrt: { arity: [1, 1], fn: Math.sqrt },
+    pow: { arity: [2, 2], fn: Math.pow },
+    floor: { arity: [1, 1], fn: Math.floor },
+    ceil: { arity: [1, 1], fn: Math.ceil }
+};
+
+/**
+ * Variables available inside a payoff expression
+ */
+const EXPRESSION_VARIABLES = ['S', 'K'];
+
+/**
+ * Split an expression into number, name and operator tokens
+ */
+function tokenizeExpression(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|[-+*/^(),<>]))/y;
+    let position = 0;
+    
+    while (position < source.length) {
+        if (/^\s*$/.test(source.slice(position))) break;
+        
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            const at = position + source.slice(position).search(/\S/);
+            throw new Error(`Unexpected character '${source[at]}' at position ${at + 1}`);
+        }
+        
+        const start = match.index + match[0].search(/\S/);
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2], position: start });
+        } else {
+            tokens.push({ type: 'op', value: match[3], position: start });
+        }
+        position = pattern.lastIndex;
+    }
+    
+    return tokens;
+}
+
+/**
+ * Compile a payoff expression in S and K into a function (S, K) => value.
+ * Supports + - * / ^, comparisons (which give 1 or 0), parentheses and the
+ * functions in EXPRESSION_FUNCTIONS. Nothing is passed to eval or Function.
+ */
+function compilePayoffExpression(source) {
+    const tokens = tokenizeExpression(source || '');
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const describe = token => token ? `'${token.value}' at position ${token.position + 1}` : 'end of expression';
+    const expect = value => {
+        const token = tokens[index];
+        if (!token || token.value !== value) {
+            throw new Error(`Expected '${value}' but found ${describe(token)}`);
+        }
+        index++;
+    };
+    const isOp = (token, ...values) => token && token.type === 'op' && values.includes(token.value);
+    
+    // comparison := additive (('<' | '>' | '<=' | '>=') additive)?
+    function parseComparison() {
+        const left = parseAdditive();
+        if (isOp(peek(), '<', '>', '<=', '>=')) {
+            const op = tokens[index++].value;
+            const right = parseAdditive();
+            switch (op) {
+                case '<': return vars => left(vars) < right(vars) ? 1 : 0;
+                case '>': return vars => left(vars) > right(vars) ? 1 : 0;
+                case '<=': return vars => left(vars) <= right(vars) ? 1 : 0;
+                default: return vars => left(vars) >= right(vars) ? 1 : 0;
+            }
+        }
+        return left;
+    }
+    
+    // additive := term (('+' | '-') term)*
+    function parseAdditive() {
+        let node = parseTerm();
+        while (isOp(peek(), '+', '-')) {
+            const op = tokens[index++].value;
+            const left = node;
+            const right = parseTerm();
+            node = op === '+' ? vars => left(vars) + right(vars) : vars => left(vars) - right(vars);
+        }
+        return node;
+    }
+    
+    // term := unary (('*' | '/') unary)*
+    function parseTerm() {
+        let node = parseUnary();
+        while (isOp(peek(), '*', '/')) {
+            const op = tokens[index++].value;
+            const left = node;
+            const right = parseUnary();
+            node = op === '*' ? vars => left(vars) * right(vars) : vars => left(vars) / right(vars);
+        }
+        return node;
+    }
+    
+    // unary := ('-' | '+') unary | power
+    function parseUnary() {
+        if (isOp(peek(), '-')) {
+            index++;
+            const operand = parseUnary();
+            return vars => -operand(vars);
+        }
+        if (isOp(peek(), '+')) {
+            index++;
+            return parseUnary();
+        }
+        return parsePower();
+    }
+    
+    // power := primary ('^' unary)?, right-associative
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp(peek(), '^')) {
+            index++;
+            const exponent = parseUnary();
+            return vars => Math.pow(base(vars), exponent(vars));
+        }
+        return base;
+    }
+    
+    // primary := number | variable | function '(' args ')' | '(' comparison ')'
+    function parsePrimary() {
+        const token = tokens[index++];
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+        
+        if (token.type === 'number') {
+            const value = token.value;
+            return () => value;
+        }
+        
+        if (token.type === 'name') {
+            if (EXPRESSION_VARIABLES.includes(token.value)) {
+                const name = token.value;
+                return vars => vars[name];
+            }
+            
+            const key = token.value.toLowerCase();
+            const spec = Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, key) ? EXPRESSION_FUNCTIONS[key] : null;
+            if (!spec) {
+                throw new Error(`Unknown name ${describe(token)}; use S, K or ${Object.keys(EXPRESSION_FUNCTIONS).join(', ')}`);
+            }
+            
+            expect('(');
+            const args = [parseComparison()];
+            while (isOp(peek(), ',')) {
+                index++;
+                args.push(parseComparison());
+            }
+            expect(')');
+            
+            if (args.length < spec.arity[0] || args.length > spec.arity[1]) {
+                throw new Error(`${token.value}() takes ${spec.arity[0]}${spec.arity[1] === spec.arity[0] ? '' : '+'} argument(s)`);
+            }
+            return vars => spec.fn(...args.map(arg => arg(vars)));
+        }
+        
+        if (token.value === '(') {
+            const inner = parseComparison();
+            expect(')');
+            return inner;
+        }
+        
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+    
+    if (tokens.length === 0) {
+        throw new Error('Payoff expression is empty');
+    }
+    
+    const root = parseComparison();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+    
+    return (S, K) => root({ S, K });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        compilePayoffExpression
+    };
+}
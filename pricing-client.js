@@ -0,0 +1,139 @@
+// Pricing Client - Background Pricing with Progress and Cancellation
+
+const PRICING_WORKER_URL = 'pricing-worker.js';
+
+/**
+ * Runs pricing jobs on a Web Worker, one at a time
+ * Starting a job cancels the one in flight: the worker is terminated so the
+ * stale work stops at once, and the cancelled job's handlers are never called,
+ * so results cannot arrive out of order. Where a worker cannot be started
+ * (some browsers refuse them on pages opened from file://) jobs run on the
+ * main thread instead, with the same handlers.
+ */
+class PricingClient {
+    constructor() {
+        this.worker = null;
+        this.ready = false;
+        this.inline = typeof Worker === 'undefined';
+        this.job = null;
+        this.nextId = 1;
+        this.timer = null;
+    }
+    
+    get busy() {
+        return this.job !== null;
+    }
+    
+    /**
+     * Run PRICING_JOBS[type] on payload
+     * handlers: { onProgress(done, total), onResult(output), onError(error) }
+     */
+    run(type, payload, handlers) {
+        this.cancel();
+        this.job = { id: this.nextId++, type, payload, handlers };
+        
+        if (this.inline) {
+            this.runInline(this.job);
+            return;
+        }
+        
+        try {
+            if (!this.worker) {
+                this.startWorker();
+            }
+            this.worker.postMessage({ id: this.job.id, type, payload });
+        } catch (e) {
+            this.fallBackInline();
+        }
+    }
+    
+    cancel() {
+        if (!this.job) return;
+        
+        this.job = null;
+        clearTimeout(this.timer);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    startWorker() {
+        const worker = new Worker(PRICING_WORKER_URL);
+        this.worker = worker;
+        this.ready = false;
+        
+        worker.onmessage = event => {
+            if (event.data.type === 'ready') {
+                this.ready = true;
+            } else {
+                this.receive(event.data);
+            }
+        };
+        
+        // A worker that never loaded hands its job to the main thread; one that
+        // stopped mid-job (out of memory, say) reports it as that job's error
+        worker.onerror = event => {
+            event.preventDefault();
+            if (worker !== this.worker) return;
+            
+            if (!this.ready) {
+                this.fallBackInline();
+                return;
+            }
+            
+            const job = this.job;
+            this.cancel();
+            if (job) {
+                job.handlers.onError(new Error(`Pricing stopped: ${event.message || 'the worker failed'}`));
+            }
+        };
+    }
+    
+    fallBackInline() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.inline = true;
+        
+        if (this.job) {
+            this.runInline(this.job);
+        }
+    }
+    
+    /**
+     * The page gets a chance to show its busy state before the work blocks it
+     */
+    runInline(job) {
+        this.timer = setTimeout(() => {
+            let message;
+            try {
+                const output = runPricingJob(job.type, job.payload);
+                message = { id: job.id, type: 'result', output };
+            } catch (error) {
+                message = { id: job.id, type: 'error', message: error.message };
+            }
+            this.receive(message);
+        }, 0);
+    }
+    
+    receive(message) {
+        const job = this.job;
+        if (!job || message.id !== job.id) return;
+        
+        if (message.type === 'progress') {
+            if (job.handlers.onProgress) {
+                job.handlers.onProgress(message.done, message.total);
+            }
+            return;
+        }
+        
+        this.job = null;
+        if (message.type === 'result') {
+            job.handlers.onResult(message.output);
+        } else {
+            job.handlers.onError(new Error(message.message));
+        }
+    }
+}
@@ -0,0 +1,98 @@
+// Pricing Jobs - The Page's Pricing Work, Shared by the Worker and the Main Thread
+
+/**
+ * Pricing inputs for the headline numbers, or null when the display tree is enough
+ */
+function getPricingParams(params) {
+    return params.pricingN > params.N ? { ...params, N: params.pricingN } : null;
+}
+
+/**
+ * What the tree shows: the single option, one strategy leg or the combined position
+ * treeView is 'combined' or the index of a leg; pricer prices the single option.
+ * Returns the params and result to display.
+ */
+function getTreeView(params, strategy, treeView, pricer = priceLattice) {
+    if (!strategy) {
+        return { params, result: pricer(params) };
+    }
+    
+    const index = parseInt(treeView);
+    if (!isNaN(index) && strategy.legs[index]) {
+        const { leg, result } = strategy.legs[index];
+        return { params: getLegParams(params, leg), result };
+    }
+    
+    return { params, result: strategy.combined };
+}
+
+/**
+ * A pricer that reproduces the tree view from its params, built on a single-option pricer
+ * legs is empty when no strategy is shown
+ */
+function getViewPricer(pricer, legs, treeView) {
+    const index = parseInt(treeView);
+    if (legs.length === 0 || (!isNaN(index) && legs[index])) {
+        return pricer;
+    }
+    return p => priceStrategy(p, legs, pricer).combined;
+}
+
+/**
+ * Price what the page shows: the tree view at display depth, plus the
+ * headline result (and strategy) from the rolling pricer when more pricing
+ * steps than display steps are requested
+ */
+function priceView(params, legs, treeView) {
+    const strategy = legs.length > 0 ? priceStrategy(params, legs, priceLattice) : null;
+    const view = getTreeView(params, strategy, treeView);
+    const pricingParams = getPricingParams(params);
+    
+    if (!pricingParams || pricingParams.N <= view.result.lattice.N) {
+        return { strategy, view, headline: view.result, headlineStrategy: strategy };
+    }
+    
+    const headlineStrategy = strategy ? priceStrategy(pricingParams, legs, priceLatticeRolling) : null;
+    return {
+        strategy,
+        view,
+        headline: getTreeView(pricingParams, headlineStrategy, treeView, priceLatticeRolling).result,
+        headlineStrategy
+    };
+}
+
+/**
+ * Jobs the page hands off, by type
+ * Each takes a payload that survives postMessage and a progress(done, total)
+ * callback, and returns its output.
+ */
+const PRICING_JOBS = {
+    // Everything calculate() shows: the priced view, the probability of reaching
+    // each of its nodes with the terminal distribution, and its convergence points
+    view: ({ params, legs, treeView, maxN }, progress) => {
+        const priced = priceView(params, legs, treeView);
+        const probabilities = getNodeProbabilities(priced.view.result);
+        const distribution = getTerminalDistribution(priced.view.result, probabilities);
+        progress(1, maxN + 1);
+        
+        const convergence = calculateConvergence(priced.view.params, maxN, getViewPricer(priceLatticeRolling, legs, treeView),
+            n => progress(n + 1, maxN + 1));
+        
+        return { ...priced, probabilities, distribution, convergence };
+    },
+    
+    sweep: ({ params, xAxis, yAxis, legs, treeView }, progress) =>
+        calculateSensitivity(params, xAxis, yAxis, getViewPricer(priceLatticeRolling, legs, treeView), progress),
+    
+    impliedVol: ({ params, marketPrice }) => {
+        const pricingParams = getPricingParams(params);
+        return solveImpliedVolatility(pricingParams || params, marketPrice, pricingParams ? priceLatticeRolling : priceLattice);
+    }
+};
+
+function runPricingJob(type, payload, progress = () => {}) {
+    if (!PRICING_JOBS[type]) {
+        throw new Error(`Unknown pricing job: ${type}`);
+    }
+    return PRICING_JOBS[type](payload, progress);
+}
@@ -0,0 +1,71 @@
+// Pricing Worker - Runs Pricing Jobs off the Page's Main Thread
+
+/**
+ * Message protocol
+ *   page → worker: { id, type, payload }       run PRICING_JOBS[type]
+ *   worker → page: { type: 'ready' }           scripts loaded
+ *                  { id, type: 'progress', done, total }
+ *                  { id, type: 'result', output }
+ *                  { id, type: 'error', message }
+ * A job runs to completion once started, so the page cancels a stale one by
+ * terminating the worker (see PricingClient).
+ */
+
+importScripts(
+    'payoff-expression.js',
+    'term-structure.js',
+    'binomial.js',
+    'trinomial.js',
+    'rolling.js',
+    'validation.js',
+    'strategy.js',
+    'sensitivity.js',
+    'pricing-jobs.js'
+);
+
+/**
+ * Shortest gap between progress messages, in milliseconds
+ */
+const PROGRESS_INTERVAL = 50;
+
+/**
+ * Copy of a job output without functions, which cannot be posted
+ * Only the compiled custom payoff is one; the page compiles it again. Objects
+ * reached twice (a headline that is also the view) stay one object.
+ */
+function withoutFunctions(value, copies = new Map()) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    
+    if (!copies.has(value)) {
+        const copy = {};
+        copies.set(value, copy);
+        Object.entries(value).forEach(([key, item]) => {
+            if (typeof item !== 'function') {
+                copy[key] = withoutFunctions(item, copies);
+            }
+        });
+    }
+    
+    return copies.get(value);
+}
+
+self.onmessage = event => {
+    const { id, type, payload } = event.data;
+    let lastProgress = 0;
+    
+    const progress = (done, total) => {
+        const now = Date.now();
+        if (now - lastProgress < PROGRESS_INTERVAL) return;
+        lastProgress = now;
+        self.postMessage({ id, type: 'progress', done, total });
+    };
+    
+    try {
+        const output = runPricingJob(type, payload, progress);
+        self.postMessage({ id, type: 'result', output: withoutFunctions(output) });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,181 @@
+// Large-N Pricing - Rolling One-Dimensional Lattice
+
+/**
+ * Largest step count accepted by the rolling pricer
+ * Pricing is O(N²): 50000 steps take around 20 s on one core
+ */
+const MAX_PRICING_STEPS = 50000;
+
+/**
+ * Step count cap for the vega and rho reprices
+ * The bump Greeks reprice the lattice four times, which at the full pricing N
+ * would take five times as long as the price itself; the central differences
+ * are taken on one lattice, so they settle long before the price does
+ */
+const MAX_BUMP_STEPS = 2000;
+
+/**
+ * Price on a binomial or trinomial lattice keeping a single column of option
+ * values in memory, so N can run to tens of thousands. Supports the same
+ * inputs as priceLattice (models, dividends, barriers, Bermudan schedules and
+ * payoffs) but returns no trees: only the price, the Greeks, and the critical
+ * stock price at each step where early exercise happens.
+ */
+function priceLatticeRolling(params) {
+    const { S, K, T, isCall, isAmerican, model, dividends } = params;
+    const isTrinomial = Boolean(TRINOMIAL_MODELS[model]);
+    if (!isTrinomial && hasVolTermStructure(params)) {
+        throw new Error(BINOMIAL_VOL_CURVE_ERROR);
+    }
+    
+    const curves = getTermCurves(params);
+    const { r, q, sigma } = getLatticeInputs(params, curves, params.N, isTrinomial ? 3 : 2);
+    const rates = curves && curves.rates;
+    
+    const escrowedS = S - dividendPV(dividends, r, 0, T, rates);
+    const lattice = applyTermStructure(
+        isTrinomial
+            ? calculateTrinomialParams(model, r, q, sigma, T, params.N)
+            : calculateLatticeParams(model || 'crr', escrowedS, K, r, q, sigma, T, params.N, params.rateBump),
+        curves, T, { r, q, sigma }
+    );
+    const N = lattice.N;
+    const spread = lattice.branches - 1;
+    const { dt } = lattice;
+    
+    // Node (i, j) is worth escrowedS * d^i * stateRatio^j plus the PV of later dividends
+    const logD = Math.log(lattice.d);
+    const stateRatio = isTrinomial ? lattice.u : lattice.u / lattice.d;
+    const hasDividends = dividends && dividends.length > 0;
+    const stockColumn = (i, column) => {
+        const pv = hasDividends ? dividendPV(dividends, r, i * dt, T, rates) : 0;
+        let price = escrowedS * Math.exp(i * logD);
+        for (let j = 0; j <= spread * i; j++) {
+            column[j] = price + pv;
+            price *= stateRatio;
+        }
+        return column;
+    };
+    
+    const barrier = getBarrier(params.barrier);
+    const knockIn = barrier && BARRIER_TYPES[barrier.type].knockIn;
+    const knockOut = barrier && !knockIn ? barrier : null;
+    const exerciseSteps = isAmerican ? getExerciseSteps(params.bermudan, N, dt) : null;
+    const payoffSpec = getPayoffSpec(params.payoff);
+    
+    const width = spread * N + 1;
+    const stock = new Float64Array(width);
+    const values = new Float64Array(width);
+    const knockInValues = knockIn ? new Float64Array(width) : null;
+    
+    // Terminal payoffs
+    stockColumn(N, stock);
+    for (let j = 0; j < width; j++) {
+        const hit = barrier && isBarrierHit(stock[j], barrier);
+        values[j] = knockOut && hit ? knockOut.rebate : payoff(stock[j], K, isCall, payoffSpec);
+        if (knockIn) {
+            knockInValues[j] = hit ? values[j] : barrier.rebate;
+        }
+    }
+    
+    // Columns 0-2 are kept for the Greeks
+    const stockColumns = [];
+    const optionColumns = [];
+    const exerciseBoundary = [];
+    
+    // Backward induction, updating values in place: state j only reads j..j+spread
+    for (let i = N - 1; i >= 0; i--) {
+        // Discounted probabilities of moving state j to j, j + 1 and j + 2
+        const { discount } = getStepParams(lattice, i);
+        const [p0, p1, p2 = 0] = getStepProbs(lattice, i).map(prob => prob * discount);
+        const canExercise = isAmerican && (!exerciseSteps || exerciseSteps[i]);
+        if (canExercise || barrier || i <= 2) {
+            stockColumn(i, stock);
+        }
+        let lowest = Infinity;
+        let highest = -Infinity;
+        let lowestState = 0;
+        let highestState = 0;
+        
+        for (let j = 0; j <= spread * i; j++) {
+            const hit = barrier && isBarrierHit(stock[j], barrier);
+            
+            const hold = isTrinomial
+                ? p0 * values[j] + p1 * values[j + 1] + p2 * values[j + 2]
+                : p0 * values[j] + p1 * values[j + 1];
+            
+            if (knockOut && hit) {
+                values[j] = knockOut.rebate;
+            } else {
+                const exerciseValue = canExercise ? payoff(stock[j], K, isCall, payoffSpec) : 0;
+                // A knock-in only exercises on the barrier, where it is the vanilla option
+                if (canExercise && exerciseValue > hold) {
+                    values[j] = exerciseValue;
+                    if (!knockIn || hit) {
+                        if (stock[j] < lowest) {
+                            lowest = stock[j];
+                            lowestState = j;
+                        }
+                        if (stock[j] > highest) {
+                            highest = stock[j];
+                            highestState = j;
+                        }
+                    }
+                } else {
+                    values[j] = hold;
+                }
+            }
+            
+            if (knockIn) {
+                knockInValues[j] = hit
+                    ? values[j]
+                    : p0 * knockInValues[j] + p1 * knockInValues[j + 1] + (isTrinomial ? p2 * knockInValues[j + 2] : 0);
+            }
+        }
+        
+        if (lowest <= highest) {
+            exerciseBoundary.push({
+                step: i,
+                time: i * dt,
+                state: isCall ? lowestState : highestState,
+                criticalPrice: isCall ? lowest : highest,
+                lowest,
+                highest
+            });
+        }
+        
+        if (i <= 2) {
+            const size = spread * i + 1;
+            stockColumns[i] = Array.from(stock.subarray(0, size));
+            optionColumns[i] = Array.from((knockIn ? knockInValues : values).subarray(0, size));
+        }
+    }
+    
+    // Greeks from the first columns, exactly as the full trees compute them
+    const delta = isTrinomial ? calculateTrinomialDelta(stockColumns, optionColumns) : calculateDelta(stockColumns, optionColumns);
+    const gamma = isTrinomial ? calculateTrinomialGamma(stockColumns, optionColumns) : calculateGamma(stockColumns, optionColumns);
+    const theta = calculateTheta(stockColumns, optionColumns, dt, delta, gamma);
+    const { vega, rho } = params.skipBumpGreeks
+        ? { vega: null, rho: null }
+        : calculateBumpGreeks({ ...params, N: Math.min(params.N, MAX_BUMP_STEPS) }, priceLatticeRolling);
+    
+    return {
+        lattice,
+        price: optionColumns[0][0],
+        delta,
+        gamma,
+        theta,
+        vega,
+        rho,
+        exerciseBoundary: exerciseBoundary.reverse(),
+        dividendSchedule: getDividendSchedule(dividends, r, T, dt, rates),
+        barrier,
+        payoff: payoffSpec
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_PRICING_STEPS, MAX_BUMP_STEPS, priceLatticeRolling
+    };
+}
@@ -0,0 +1,161 @@
+// Scenarios - Shareable Links, JSON Files and a Saved Library
+
+/**
+ * Scenario keys for the form inputs, each with the id of the element it is read from
+ * Values are kept exactly as typed so a scenario reproduces the same tree
+ */
+const SCENARIO_FIELDS = {
+    S: 'spotPrice',
+    K: 'strikePrice',
+    r: 'riskFreeRate',
+    q: 'dividendYield',
+    sigma: 'volatility',
+    T: 'timeToMaturity',
+    N: 'numSteps',
+    pricingN: 'pricingSteps',
+    model: 'latticeModel',
+    dividends: 'cashDividends',
+    bermudanDates: 'bermudanDates',
+    bermudanEvery: 'bermudanEvery',
+    payoff: 'payoffType',
+    payoffCash: 'payoffCash',
+    payoffTrigger: 'payoffTrigger',
+    payoffPower: 'payoffPower',
+    payoffExpression: 'payoffExpression',
+    barrier: 'barrierType',
+    barrierLevel: 'barrierLevel',
+    barrierRebate: 'barrierRebate',
+    termInterpolation: 'termInterpolation',
+    termRates: 'termRates',
+    termYields: 'termYields',
+    termVols: 'termVols',
+    maxN: 'convergenceMaxN'
+};
+
+/**
+ * Radio groups stored in a scenario, by the name of their inputs
+ */
+const SCENARIO_CHOICES = {
+    type: 'optionType',
+    style: 'exerciseStyle'
+};
+
+const SCENARIO_VERSION = 1;
+
+const SCENARIO_STORAGE_KEY = 'binomial-tree-scenarios';
+
+/**
+ * Check and tidy a scenario read from a link, file or storage
+ * Unknown keys are dropped; throws when nothing usable is left or a leg is malformed
+ */
+function normalizeScenario(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('A scenario must be a JSON object');
+    }
+    
+    const scenario = { version: SCENARIO_VERSION };
+    [...Object.keys(SCENARIO_FIELDS), ...Object.keys(SCENARIO_CHOICES), 'view'].forEach(key => {
+        if (data[key] !== undefined && data[key] !== null) {
+            scenario[key] = String(data[key]);
+        }
+    });
+    
+    if (data.legs !== undefined) {
+        if (!Array.isArray(data.legs)) {
+            throw new Error('Scenario legs must be a list');
+        }
+        scenario.legs = data.legs.map((leg, index) => {
+            const strike = Number(leg && leg.strike);
+            const quantity = Number(leg && leg.quantity);
+            if (!leg || !['long', 'short'].includes(leg.side) || !['call', 'put'].includes(leg.type) ||
+                !(strike > 0) || !(quantity > 0)) {
+                throw new Error(`Leg ${index + 1} needs a side (long/short), type (call/put), strike and quantity`);
+            }
+            return { side: leg.side, type: leg.type, strike, quantity };
+        });
+        scenario.strategy = Boolean(data.strategy) && data.strategy !== '0';
+    }
+    
+    if (Object.keys(scenario).length === 1) {
+        throw new Error('The scenario has no recognised inputs');
+    }
+    
+    return scenario;
+}
+
+/**
+ * Query string for a scenario; legs are written as side:type:strike:quantity joined by ';'
+ */
+function encodeScenarioQuery(scenario) {
+    const query = new URLSearchParams({ v: SCENARIO_VERSION });
+    
+    Object.entries(scenario).forEach(([key, value]) => {
+        if (key === 'version' || key === 'legs' || key === 'strategy') return;
+        query.set(key, value);
+    });
+    
+    if (scenario.legs && scenario.legs.length > 0) {
+        query.set('legs', scenario.legs.map(leg => [leg.side, leg.type, leg.strike, leg.quantity].join(':')).join(';'));
+        query.set('strategy', scenario.strategy ? '1' : '0');
+    }
+    
+    return query.toString();
+}
+
+/**
+ * Scenario from a query string, or null when it carries none
+ */
+function decodeScenarioQuery(search) {
+    const query = new URLSearchParams(search);
+    if (!query.has('v')) return null;
+    
+    const data = Object.fromEntries(query.entries());
+    if (data.legs !== undefined) {
+        data.legs = data.legs.split(';').filter(Boolean).map(text => {
+            const [side, type, strike, quantity] = text.split(':');
+            return { side, type, strike, quantity };
+        });
+    }
+    
+    return normalizeScenario(data);
+}
+
+/**
+ * Entries saved by name under a localStorage key, each passed through normalize
+ * Entries normalize throws on (written by an incompatible version) are left out,
+ * and unreadable storage reads as an empty library
+ */
+function loadStoredLibrary(key, normalize) {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(key)) || {};
+    } catch (e) {
+        return {};
+    }
+    
+    const library = {};
+    Object.entries(stored).forEach(([name, data]) => {
+        try {
+            library[name] = normalize(data);
+        } catch (e) {
+            // Left out
+        }
+    });
+    
+    return library;
+}
+
+function saveStoredLibrary(key, library) {
+    localStorage.setItem(key, JSON.stringify(library));
+}
+
+/**
+ * Saved scenarios by name, skipping any that no longer load
+ */
+function loadScenarioLibrary() {
+    return loadStoredLibrary(SCENARIO_STORAGE_KEY, normalizeScenario);
+}
+
+function saveScenarioLibrary(library) {
+    saveStoredLibrary(SCENARIO_STORAGE_KEY, library);
+}
@@ -0,0 +1,137 @@
+// Sensitivity Analysis - Price and Greek Sweeps over One or Two Inputs
+
+/**
+ * Inputs that can be swept
+ * Ranges are entered in the units the form uses (unit 100 for percentages);
+ * curve is the term structure that shifts in parallel with the flat input
+ */
+const SWEEP_INPUTS = {
+    S: { name: 'Spot Price', unit: 1, positive: true },
+    K: { name: 'Strike Price', unit: 1, positive: true },
+    sigma: { name: 'Volatility (%)', unit: 100, positive: true, curve: 'vols' },
+    r: { name: 'Risk-Free Rate (%)', unit: 100, curve: 'rates' },
+    q: { name: 'Dividend Yield (%)', unit: 100, curve: 'yields' },
+    T: { name: 'Time to Maturity', unit: 1, positive: true }
+};
+
+/**
+ * Results recorded at each point of a sweep
+ */
+const SWEEP_OUTPUTS = {
+    price: { name: 'Price', decimals: 4 },
+    delta: { name: 'Delta', decimals: 4 },
+    gamma: { name: 'Gamma', decimals: 6 },
+    theta: { name: 'Theta', decimals: 4 }
+};
+
+const MAX_SWEEP_POINTS = 50;
+
+/**
+ * Evenly spaced axis values, in form units, from axis.from to axis.to
+ */
+function getSweepValues(axis) {
+    const values = [];
+    for (let k = 0; k < axis.count; k++) {
+        values.push(axis.from + (axis.to - axis.from) * k / (axis.count - 1));
+    }
+    return values;
+}
+
+/**
+ * Params with one input set to a swept value given in form units
+ */
+function applySweepInput(params, key, value) {
+    const spec = SWEEP_INPUTS[key];
+    const target = value / spec.unit;
+    
+    return {
+        ...params,
+        [key]: target,
+        termStructure: spec.curve
+            ? shiftTermStructure(params.termStructure, spec.curve, target - params[key])
+            : params.termStructure
+    };
+}
+
+/**
+ * Why a sweep point cannot be priced, or null when it can
+ * Moving S or T can break inputs that depend on them (cash dividends worth more
+ * than the spot, exercise dates past expiry), and moving sigma, r or q can take
+ * the lattice's probabilities out of [0, 1], so every point is checked as the
+ * form's inputs are; the sweep prices on N alone, so pricingN is left out
+ */
+function getSweepPointError(point) {
+    const errors = validateParams({ ...point, pricingN: undefined });
+    if (errors.length > 0) return errors[0].message;
+    
+    const diagnostic = checkLattice(point);
+    return diagnostic ? diagnostic.message : null;
+}
+
+function checkSweepAxis(axis) {
+    const spec = SWEEP_INPUTS[axis.key];
+    
+    if (!spec) return 'Choose an input to sweep';
+    if (isNaN(axis.from) || isNaN(axis.to) || axis.from === axis.to) {
+        return `${spec.name}: enter two different range ends`;
+    }
+    if (!(axis.count >= 2 && axis.count <= MAX_SWEEP_POINTS)) {
+        return `${spec.name}: use between 2 and ${MAX_SWEEP_POINTS} points`;
+    }
+    if (spec.positive && Math.min(axis.from, axis.to) <= 0) {
+        return `${spec.name} must stay above zero`;
+    }
+    
+    return null;
+}
+
+/**
+ * Price over a grid of one input (xAxis) or two (xAxis by yAxis)
+ * Each axis is { key, from, to, count } with the range in form units.
+ * Returns { x, y, grid } where grid[row][column] holds the SWEEP_OUTPUTS for
+ * y value row and x value column (a single row without yAxis), or { error }.
+ * A point that cannot be priced has null outputs and its reason in error.
+ * onProgress(done, total) is called after each point.
+ */
+function calculateSensitivity(params, xAxis, yAxis = null, pricer = priceBinomialTree, onProgress = null) {
+    const error = checkSweepAxis(xAxis) || (yAxis && checkSweepAxis(yAxis)) ||
+        (yAxis && yAxis.key === xAxis.key ? 'Sweep two different inputs' : null);
+    if (error) return { error };
+    
+    const xValues = getSweepValues(xAxis);
+    const yValues = yAxis ? getSweepValues(yAxis) : [null];
+    const total = xValues.length * yValues.length;
+    let done = 0;
+    
+    const grid = yValues.map(y => xValues.map(x => {
+        let point = applySweepInput(params, xAxis.key, x);
+        if (yAxis) {
+            point = applySweepInput(point, yAxis.key, y);
+        }
+        
+        const error = getSweepPointError(point);
+        const result = error ? null : pricer({ ...point, skipBumpGreeks: true });
+        const cell = { error };
+        Object.keys(SWEEP_OUTPUTS).forEach(key => {
+            cell[key] = result ? result[key] : null;
+        });
+        
+        done++;
+        if (onProgress) {
+            onProgress(done, total);
+        }
+        return cell;
+    }));
+    
+    return {
+        x: { ...xAxis, values: xValues },
+        y: yAxis ? { ...yAxis, values: yValues } : null,
+        grid
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SWEEP_INPUTS, SWEEP_OUTPUTS, calculateSensitivity
+    };
+}
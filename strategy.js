@@ -0,0 +1,160 @@
+// Multi-Leg Strategies - Portfolio Pricing
+
+/**
+ * Strategy presets
+ * Each leg is built around the centre strike K with a wing width w
+ */
+const STRATEGY_PRESETS = {
+    'bull-call': {
+        name: 'Bull Call Spread',
+        legs: (K, w) => [
+            { side: 'long', type: 'call', strike: K - w, quantity: 1 },
+            { side: 'short', type: 'call', strike: K + w, quantity: 1 }
+        ]
+    },
+    'bear-put': {
+        name: 'Bear Put Spread',
+        legs: (K, w) => [
+            { side: 'long', type: 'put', strike: K + w, quantity: 1 },
+            { side: 'short', type: 'put', strike: K - w, quantity: 1 }
+        ]
+    },
+    straddle: {
+        name: 'Straddle',
+        legs: K => [
+            { side: 'long', type: 'call', strike: K, quantity: 1 },
+            { side: 'long', type: 'put', strike: K, quantity: 1 }
+        ]
+    },
+    strangle: {
+        name: 'Strangle',
+        legs: (K, w) => [
+            { side: 'long', type: 'put', strike: K - w, quantity: 1 },
+            { side: 'long', type: 'call', strike: K + w, quantity: 1 }
+        ]
+    },
+    butterfly: {
+        name: 'Butterfly',
+        legs: (K, w) => [
+            { side: 'long', type: 'call', strike: K - w, quantity: 1 },
+            { side: 'short', type: 'call', strike: K, quantity: 2 },
+            { side: 'long', type: 'call', strike: K + w, quantity: 1 }
+        ]
+    },
+    condor: {
+        name: 'Condor',
+        legs: (K, w) => [
+            { side: 'long', type: 'call', strike: K - 2 * w, quantity: 1 },
+            { side: 'short', type: 'call', strike: K - w, quantity: 1 },
+            { side: 'short', type: 'call', strike: K + w, quantity: 1 },
+            { side: 'long', type: 'call', strike: K + 2 * w, quantity: 1 }
+        ]
+    }
+};
+
+/**
+ * Build the legs of a preset around a centre strike
+ * The wing width defaults to 10% of the strike, rounded to a whole number
+ */
+function createStrategyLegs(preset, K, width = Math.max(1, Math.round(K * 0.1))) {
+    return STRATEGY_PRESETS[preset].legs(K, width);
+}
+
+/**
+ * Signed position size of a leg: +quantity long, -quantity short
+ */
+function getLegWeight(leg) {
+    return (leg.side === 'short' ? -1 : 1) * leg.quantity;
+}
+
+/**
+ * Short description of a leg, e.g. "Short 2 Call 100"
+ */
+function describeLeg(leg) {
+    const side = leg.side === 'short' ? 'Short' : 'Long';
+    const type = leg.type === 'put' ? 'Put' : 'Call';
+    return `${side} ${leg.quantity} ${type} ${leg.strike}`;
+}
+
+/**
+ * Pricing inputs for one leg
+ * Legs share the market, model and exercise inputs but are vanilla options
+ */
+function getLegParams(params, leg) {
+    return {
+        ...params,
+        K: leg.strike,
+        isCall: leg.type !== 'put',
+        payoff: null,
+        barrier: null
+    };
+}
+
+/**
+ * Combine leg results into one tree with the same shape as a single option
+ * Every leg is priced on the same lattice, so the trees add node by node;
+ * results from the rolling pricer carry no trees and only the totals add up
+ */
+function combineLegResults(legResults) {
+    const base = legResults[0].result;
+    const optionTree = base.optionTree ? base.stockTree.map(row => row.map(() => 0)) : null;
+    const totals = { price: 0, delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+    
+    legResults.forEach(({ leg, result }) => {
+        const weight = getLegWeight(leg);
+        
+        if (optionTree) {
+            result.optionTree.forEach((row, i) => {
+                row.forEach((value, j) => {
+                    optionTree[i][j] += weight * value;
+                });
+            });
+        }
+        
+        Object.keys(totals).forEach(key => {
+            totals[key] = result[key] === null ? null : totals[key] + weight * result[key];
+        });
+    });
+    
+    return {
+        ...base,
+        optionTree,
+        earlyExercise: optionTree && optionTree.map(row => row.map(() => false)),
+        earlyExerciseNodes: [],
+        exerciseBoundary: [],
+        barrier: null,
+        barrierHits: null,
+        payoff: null,
+        ...totals,
+        isStrategy: true
+    };
+}
+
+/**
+ * Price every leg of a strategy and the combined position
+ */
+function priceStrategy(params, legs, pricer = priceBinomialTree) {
+    const legResults = legs.map(leg => ({ leg, result: pricer(getLegParams(params, leg)) }));
+    const combined = combineLegResults(legResults);
+    
+    return {
+        legs: legResults,
+        combined,
+        premium: combined.price,
+        delta: combined.delta,
+        gamma: combined.gamma
+    };
+}
+
+/**
+ * Value of the strategy at expiry for a terminal stock price
+ */
+function strategyPayoffAtExpiry(legs, S) {
+    return legs.reduce((total, leg) => total + getLegWeight(leg) * payoff(S, leg.strike, leg.type !== 'put'), 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STRATEGY_PRESETS, createStrategyLegs, priceStrategy, strategyPayoffAtExpiry
+    };
+}
@@ -0,0 +1,229 @@
+// Vector Export - SVG Rendering of the Tree
+
+/**
+ * Height of the legend strip added below the tree
+ */
+const SVG_LEGEND_HEIGHT = 32;
+
+/**
+ * Records the subset of the canvas 2D API that TreeRenderer draws with as SVG
+ * elements, so the vector output reuses the canvas drawing code unchanged
+ */
+class SVGContext {
+    constructor() {
+        this.elements = [];
+        this.stack = [];
+        this.path = '';
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+    }
+    
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, lineDash } = this;
+        this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, globalAlpha, lineDash });
+    }
+    
+    restore() {
+        Object.assign(this, this.stack.pop());
+    }
+    
+    setLineDash(segments) {
+        this.lineDash = segments;
+    }
+    
+    // The export starts from an empty document, so there is nothing to clear
+    clearRect() {}
+    
+    scale() {}
+    
+    beginPath() {
+        this.path = '';
+    }
+    
+    moveTo(x, y) {
+        this.path += `M${formatSVGNumber(x)} ${formatSVGNumber(y)}`;
+    }
+    
+    lineTo(x, y) {
+        this.path += `L${formatSVGNumber(x)} ${formatSVGNumber(y)}`;
+    }
+    
+    closePath() {
+        this.path += 'Z';
+    }
+    
+    /**
+     * Only the full circles the renderer draws are supported
+     */
+    arc(x, y, radius) {
+        const r = formatSVGNumber(radius);
+        this.path += `M${formatSVGNumber(x + radius)} ${formatSVGNumber(y)}` +
+            `A${r} ${r} 0 1 0 ${formatSVGNumber(x - radius)} ${formatSVGNumber(y)}` +
+            `A${r} ${r} 0 1 0 ${formatSVGNumber(x + radius)} ${formatSVGNumber(y)}`;
+    }
+    
+    fill() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="${this.fillStyle}"${this.opacity()}/>`);
+    }
+    
+    stroke() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="none"${this.strokeAttributes()}${this.opacity()}/>`);
+    }
+    
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect ${this.rectAttributes(x, y, width, height)} fill="${this.fillStyle}"${this.opacity()}/>`);
+    }
+    
+    strokeRect(x, y, width, height) {
+        this.elements.push(`<rect ${this.rectAttributes(x, y, width, height)} fill="none"${this.strokeAttributes()}${this.opacity()}/>`);
+    }
+    
+    fillText(text, x, y) {
+        const match = /([\d.]+)px\s*(.*)/.exec(this.font);
+        const size = match ? match[1] : 10;
+        const family = match ? match[2].replace(/"/g, "'") : 'sans-serif';
+        const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign];
+        const baseline = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+        
+        this.elements.push(
+            `<text x="${formatSVGNumber(x)}" y="${formatSVGNumber(y)}" font-family="${family}" font-size="${size}" ` +
+            `text-anchor="${anchor}" dominant-baseline="${baseline}" fill="${this.fillStyle}"${this.opacity()}>` +
+            `${escapeXML(String(text))}</text>`
+        );
+    }
+    
+    rectAttributes(x, y, width, height) {
+        return `x="${formatSVGNumber(x)}" y="${formatSVGNumber(y)}" width="${formatSVGNumber(width)}" height="${formatSVGNumber(height)}"`;
+    }
+    
+    strokeAttributes() {
+        const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+        return ` stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"${dash}`;
+    }
+    
+    opacity() {
+        return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+    }
+    
+    toString(width, height, background) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `<rect width="100%" height="100%" fill="${background}"/>\n` +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+}
+
+function formatSVGNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Legend entries for a tree result, matching the legend under the canvas
+ */
+function getTreeLegend(result) {
+    const items = [
+        { label: 'Hold', shape: 'node', color: 'nodeStroke' },
+        { label: 'Early Exercise', shape: 'node', color: 'exercise' },
+        { label: 'Terminal', shape: 'node', color: 'terminal' }
+    ];
+    
+    if (result.exerciseBoundary && result.exerciseBoundary.length > 0) {
+        items.push({ label: 'Boundary', shape: 'curve', color: 'exercise' });
+    }
+    if (result.exerciseSteps) {
+        items.push({ label: 'Exercise Date', shape: 'band', color: 'exercise' });
+    }
+    if (result.barrier) {
+        items.push({ label: 'Barrier Hit', shape: 'dashed', color: 'barrier' });
+    }
+    if (result.dividendSchedule && result.dividendSchedule.length > 0) {
+        items.push({ label: 'Ex-Dividend', shape: 'line', color: 'text' });
+    }
+    
+    return items;
+}
+
+function drawTreeLegend(ctx, colors, items, width, top) {
+    const itemWidth = 120;
+    const y = top + SVG_LEGEND_HEIGHT / 2;
+    let x = (width - items.length * itemWidth) / 2;
+    
+    ctx.font = '11px Consolas, Monaco, monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    
+    items.forEach(item => {
+        const color = colors[item.color];
+        ctx.save();
+        
+        if (item.shape === 'node') {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 6, 12, 12);
+        } else if (item.shape === 'band') {
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 6, 12, 12);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = color;
+            ctx.strokeRect(x, y - 6, 12, 12);
+        } else if (item.shape === 'curve') {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y + 4);
+            ctx.lineTo(x + 12, y - 4);
+            ctx.stroke();
+        } else if (item.shape === 'dashed') {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([3, 2]);
+            ctx.beginPath();
+            ctx.arc(x + 6, y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        } else {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x + 1, y - 6);
+            ctx.lineTo(x + 1, y + 6);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+        ctx.fillStyle = colors.text;
+        ctx.fillText(item.label.toUpperCase(), x + 18, y);
+        x += itemWidth;
+    });
+}
+
+/**
+ * SVG document of a tree result drawn at width x height with the given theme
+ * colours, with the legend in a strip below
+ */
+function renderTreeSVG(result, colors, width, height, background) {
+    const ctx = new SVGContext();
+    const renderer = new TreeRenderer({ getContext: () => ctx });
+    
+    renderer.setColors(colors);
+    renderer.setData(result);
+    renderer.width = width;
+    renderer.height = height;
+    renderer.drawTree();
+    
+    drawTreeLegend(ctx, colors, getTreeLegend(result), width, height);
+    
+    return ctx.toString(width, height + SVG_LEGEND_HEIGHT, background);
+}
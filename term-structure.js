@@ -0,0 +1,193 @@
+// Term Structures - Time-Dependent Rates, Yields and Volatility
+
+/**
+ * Interpolation between term-structure pillars
+ * flat keeps forwards constant between pillars; linear interpolates the term values
+ */
+const TERM_INTERPOLATIONS = {
+    flat: { name: 'Piecewise-Constant Forwards' },
+    linear: { name: 'Linear in Term Value' }
+};
+
+/**
+ * Curves that can be given as a term structure, with the flat parameter each replaces
+ * power is 1 for rates (accumulating r t) and 2 for volatility (accumulating sigma^2 t)
+ */
+const TERM_CURVES = {
+    rates: { name: 'Zero Rate', param: 'r', power: 1 },
+    yields: { name: 'Dividend Yield', param: 'q', power: 1 },
+    vols: { name: 'Volatility', param: 'sigma', power: 2 }
+};
+
+/**
+ * Whether params carry at least one non-empty term structure
+ * params.termStructure is { interpolation, rates, yields, vols } with each
+ * curve a list of { time, value } pillars sorted by time
+ */
+function hasTermStructure(params) {
+    const termStructure = params.termStructure;
+    return Boolean(termStructure) && Object.keys(TERM_CURVES).some(key => (termStructure[key] || []).length > 0);
+}
+
+/**
+ * Binomial lattices cannot price a volatility curve: with the state spacing fixed
+ * their single probability matches each step's drift but not its variance, so
+ * the local volatility of every step would silently be the term volatility
+ */
+const BINOMIAL_VOL_CURVE_ERROR = 'A volatility term structure needs a trinomial model (Boyle or Kamrad-Ritchken)';
+
+function hasVolTermStructure(params) {
+    return Boolean(params.termStructure) && (params.termStructure.vols || []).length > 0;
+}
+
+/**
+ * Term value at time t from a list of pillars, flat beyond the first and last
+ */
+function interpolateTerm(points, t, interpolation, power = 1) {
+    if (t <= points[0].time) return points[0].value;
+    
+    const last = points[points.length - 1];
+    if (t >= last.time) return last.value;
+    
+    const k = points.findIndex(point => point.time >= t);
+    const a = points[k - 1];
+    const b = points[k];
+    const w = (t - a.time) / (b.time - a.time);
+    
+    if (interpolation === 'linear') {
+        return a.value + w * (b.value - a.value);
+    }
+    
+    // Constant forwards: value^power * t is linear between pillars
+    const accumulatedA = Math.pow(a.value, power) * a.time;
+    const accumulatedB = Math.pow(b.value, power) * b.time;
+    return Math.pow((accumulatedA + w * (accumulatedB - accumulatedA)) / t, 1 / power);
+}
+
+/**
+ * Term curves t => value for rates, yields and vols, or null without term structures
+ * A curve left empty stays flat at its parameter (r, q or sigma)
+ */
+function getTermCurves(params) {
+    if (!hasTermStructure(params)) return null;
+    
+    const { interpolation } = params.termStructure;
+    const curves = {};
+    Object.entries(TERM_CURVES).forEach(([key, spec]) => {
+        const points = params.termStructure[key] || [];
+        const flat = params[spec.param] || 0;
+        curves[key] = points.length > 0
+            ? t => interpolateTerm(points, t, interpolation, spec.power)
+            : () => flat;
+    });
+    
+    return curves;
+}
+
+/**
+ * Forward value over [t1, t2] implied by a term curve
+ * Volatility forwards come from the forward variance, floored at zero
+ */
+function forwardTermValue(curve, t1, t2, power = 1) {
+    const accumulated = t => Math.pow(curve(t), power) * t;
+    const forward = (accumulated(t2) - accumulated(t1)) / (t2 - t1);
+    return power === 2 ? Math.sqrt(Math.max(forward, 0)) : forward;
+}
+
+/**
+ * Forward rate, yield and volatility for each of the N steps of length T / N
+ */
+function getStepMarket(curves, T, N) {
+    const dt = T / N;
+    const steps = [];
+    
+    for (let i = 0; i < N; i++) {
+        const t1 = i * dt;
+        const t2 = t1 + dt;
+        steps.push({
+            time: t1,
+            r: forwardTermValue(curves.rates, t1, t2),
+            q: forwardTermValue(curves.yields, t1, t2),
+            sigma: forwardTermValue(curves.vols, t1, t2, TERM_CURVES.vols.power)
+        });
+    }
+    
+    return steps;
+}
+
+/**
+ * The r, q and sigma a lattice is built on
+ * With term structures these are the term values to expiry, except that a
+ * trinomial lattice spaces its states for the highest step volatility so
+ * every middle probability stays non-negative
+ */
+function getLatticeInputs(params, curves, N, branches = 2) {
+    if (!curves) {
+        return { r: params.r, q: params.q || 0, sigma: params.sigma };
+    }
+    
+    const { T } = params;
+    const inputs = { r: curves.rates(T), q: curves.yields(T), sigma: curves.vols(T) };
+    if (branches === 3) {
+        inputs.sigma = Math.max(inputs.sigma, ...getStepMarket(curves, T, N).map(step => step.sigma));
+    }
+    
+    return inputs;
+}
+
+/**
+ * Give each step of a recombining lattice its own probabilities and discount factor
+ * The state spacing stays fixed; a step's probabilities shift from the lattice
+ * values by the difference between its forward drift (and, on a trinomial
+ * lattice, variance) and those of the inputs the lattice was built on.
+ * A binomial lattice has no free probability for variance, so it takes rate and
+ * yield curves only (see BINOMIAL_VOL_CURVE_ERROR).
+ */
+function applyTermStructure(lattice, curves, T, inputs) {
+    if (!curves) return lattice;
+    
+    const { dt, u, d, N } = lattice;
+    const h = Math.log(u);
+    const moments = (r, q, sigma) => {
+        const mean = (r - q - 0.5 * sigma * sigma) * dt;
+        return { mean, second: sigma * sigma * dt + mean * mean };
+    };
+    const base = moments(inputs.r, inputs.q, inputs.sigma);
+    
+    const steps = getStepMarket(curves, T, N).map(step => {
+        const discount = Math.exp(-step.r * dt);
+        
+        if (lattice.branches === 2) {
+            const p = lattice.p + (Math.exp((step.r - step.q) * dt) - Math.exp((inputs.r - inputs.q) * dt)) / (u - d);
+            return { ...step, p, discount };
+        }
+        
+        const { mean, second } = moments(step.r, step.q, step.sigma);
+        const meanShift = (mean - base.mean) / h;
+        const secondShift = (second - base.second) / (h * h);
+        const pu = lattice.pu + (secondShift + meanShift) / 2;
+        const pd = lattice.pd + (secondShift - meanShift) / 2;
+        return { ...step, pu, pm: 1 - pu - pd, pd, p: pu, discount };
+    });
+    
+    return { ...lattice, steps };
+}
+
+/**
+ * Shift every pillar of one curve by h (used for the bump-and-reprice Greeks)
+ */
+function shiftTermStructure(termStructure, key, h) {
+    if (!termStructure || !termStructure[key]) return termStructure;
+    
+    return {
+        ...termStructure,
+        [key]: termStructure[key].map(point => ({ time: point.time, value: point.value + h }))
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TERM_INTERPOLATIONS, TERM_CURVES, BINOMIAL_VOL_CURVE_ERROR, hasVolTermStructure,
+        getTermCurves, getLatticeInputs, applyTermStructure, shiftTermStructure
+    };
+}
@@ -0,0 +1,70 @@
+// Smoke Test - Node.js Entry Point and Command-Line Tool
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+    priceLattice,
+    priceLatticeRolling,
+    blackScholesPrice,
+    solveImpliedVolatility,
+    validateParams,
+    LATTICE_MODELS,
+    TRINOMIAL_MODELS
+} = require('../index.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const base = { S: 100, K: 100, r: 0.05, q: 0, sigma: 0.2, T: 1, N: 200, isCall: true, isAmerican: false, model: 'crr' };
+
+function test(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+test('every model converges to Black-Scholes', () => {
+    const bs = blackScholesPrice(base.S, base.K, base.r, base.q, base.sigma, base.T, true);
+    [...Object.keys(LATTICE_MODELS), ...Object.keys(TRINOMIAL_MODELS)].forEach(model => {
+        const result = priceLattice({ ...base, model });
+        assert.ok(Math.abs(result.price - bs) < 0.05, `${model} priced ${result.price}, Black-Scholes ${bs}`);
+    });
+});
+
+test('the rolling pricer matches the full tree', () => {
+    const params = { ...base, isCall: false, isAmerican: true };
+    assert.ok(Math.abs(priceLatticeRolling(params).price - priceLattice(params).price) < 1e-9);
+});
+
+test('implied volatility recovers the input', () => {
+    const params = { ...base, N: 50 };
+    const { sigma, error } = solveImpliedVolatility(params, priceLattice(params).price);
+    assert.strictEqual(error, null);
+    assert.ok(Math.abs(sigma - base.sigma) < 1e-4, `solved ${sigma}`);
+});
+
+test('invalid inputs are reported by field', () => {
+    assert.deepStrictEqual(validateParams({ ...base, sigma: -1 }).map(e => e.field), ['sigma']);
+});
+
+test('the CLI prices a JSON file and reports failed specs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'binomial-tree-'));
+    try {
+        const input = path.join(dir, 'specs.json');
+        fs.writeFileSync(input, JSON.stringify([
+            { id: 'atm', S: 100, K: 100, r: 0.05, sigma: 0.2, T: 1, type: 'put', style: 'american' },
+            { id: 'bad', S: 100, K: 100, sigma: -1, T: 1 }
+        ]));
+        
+        const run = spawnSync(process.execPath, [CLI, input, '--format', 'json'], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 1, run.stderr);
+        
+        const [atm, bad] = JSON.parse(run.stdout);
+        assert.strictEqual(atm.error, undefined);
+        assert.ok(Math.abs(atm.price - priceLattice({ ...base, N: 100, isCall: false, isAmerican: true }).price) < 1e-9);
+        assert.match(bad.error, /Volatility/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,121 @@
+// Custom Themes - User Palettes for the Tree, Charts and Page
+
+/**
+ * Tree and chart colours a theme sets, keyed as getTreeColors returns them,
+ * with their labels in the theme editor
+ */
+const THEME_TREE_COLORS = {
+    grid: 'Grid',
+    text: 'Labels',
+    nodeFill: 'Node Fill',
+    nodeStroke: 'Node Outline',
+    exercise: 'Early Exercise',
+    exerciseText: 'Exercise Text',
+    terminal: 'Terminal',
+    valueText: 'Option Values',
+    barrier: 'Barrier',
+    highlight: 'Highlight'
+};
+
+/**
+ * Page colours a theme sets, by CSS variable, with their labels in the theme editor
+ * --chart-bg is not edited: it is a translucent --chart-line (see getChartBackground)
+ */
+const THEME_PAGE_COLORS = {
+    '--bg-primary': 'Background',
+    '--bg-secondary': 'Panels',
+    '--bg-input': 'Inputs',
+    '--border-color': 'Borders',
+    '--text-primary': 'Text',
+    '--text-secondary': 'Secondary Text',
+    '--text-input': 'Input Text',
+    '--accent': 'Accent',
+    '--positive': 'Positive',
+    '--negative': 'Negative',
+    '--chart-line': 'Chart Line',
+    '--btn-primary-bg': 'Button',
+    '--btn-primary-text': 'Button Text'
+};
+
+const THEME_VERSION = 1;
+
+const THEME_STORAGE_KEY = 'binomial-tree-custom-themes';
+
+/**
+ * Theme selector values of custom themes are this prefix followed by the theme name
+ */
+const CUSTOM_THEME_PREFIX = 'custom:';
+
+/**
+ * A #rgb or #rrggbb colour as lowercase #rrggbb, or null for anything else
+ * Colour inputs and mixColors both need the six-digit form
+ */
+function normalizeColor(value) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+    if (!match) return null;
+    
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return '#' + hex.toLowerCase();
+}
+
+/**
+ * Check and tidy a custom theme read from storage or a file
+ * Every tree and page colour must be given; throws naming the first one that is
+ * missing or not a hex colour
+ */
+function normalizeTheme(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('A theme must be a JSON object');
+    }
+    
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        throw new Error('The theme needs a name');
+    }
+    
+    const readColors = (colors, labels, group) => {
+        const read = {};
+        Object.entries(labels).forEach(([key, label]) => {
+            const color = colors && typeof colors === 'object' ? normalizeColor(colors[key]) : null;
+            if (!color) {
+                throw new Error(`${group} colour ${label} (${key}) must be a hex colour such as #1a2b3c`);
+            }
+            read[key] = color;
+        });
+        return read;
+    };
+    
+    return {
+        version: THEME_VERSION,
+        name,
+        tree: readColors(data.tree, THEME_TREE_COLORS, 'Tree'),
+        page: readColors(data.page, THEME_PAGE_COLORS, 'Page')
+    };
+}
+
+/**
+ * The translucent chart background that goes with a chart line colour
+ */
+function getChartBackground(chartLine) {
+    const hex = normalizeColor(chartLine).slice(1);
+    const [r, g, b] = [0, 2, 4].map(k => parseInt(hex.slice(k, k + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, 0.1)`;
+}
+
+/**
+ * Name of the custom theme a theme selector value picks, or null for a built-in theme
+ */
+function getCustomThemeName(theme) {
+    return theme.startsWith(CUSTOM_THEME_PREFIX) ? theme.slice(CUSTOM_THEME_PREFIX.length) : null;
+}
+
+/**
+ * Saved custom themes by name, skipping any that no longer load
+ */
+function loadThemeLibrary() {
+    return loadStoredLibrary(THEME_STORAGE_KEY, normalizeTheme);
+}
+
+function saveThemeLibrary(library) {
+    saveStoredLibrary(THEME_STORAGE_KEY, library);
+}
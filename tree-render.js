@@ -2,12 +2,57 @@
 
 let treeRenderer = null;
 
+/**
+ * Largest step count drawn as a full tree
+ */
+const MAX_DISPLAY_STEPS = 500;
+
+/**
+ * Zoom limits and level-of-detail settings
+ * Label depths are lattice levels per screen height, so zooming in on a large
+ * tree brings back the labels a small tree shows unzoomed
+ */
+const TREE_VIEW = {
+    zoomStep: 1.2,
+    minZoomLevels: 2,
+    fullLabelDepth: 10,
+    shortLabelDepth: 15,
+    minStepLabelSpacing: 30,
+    minEdgeSpacing: 2
+};
+
+/**
+ * Backward-induction playback: the default speed in nodes per second, and the
+ * longest an exercise decision flashes, in milliseconds
+ */
+const TREE_PLAYBACK = {
+    speed: 3,
+    flashTime: 400
+};
+
 class TreeRenderer {
-    constructor(canvas) {
+    constructor(canvas, minimap = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.minimap = minimap;
         this.data = null;
         this.colors = null;
+        this.layout = null;
+        this.nodeRadius = 0;
+        this.selected = null;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.drag = null;
+        this.dragMoved = false;
+        this.onNodeHover = null;
+        this.onNodeSelect = null;
+        this.baseline = null;
+        this.changes = null;
+        this.probabilities = null;
+        this.playback = null;
+        this.playbackSpeed = TREE_PLAYBACK.speed;
+        this.playbackTimer = null;
+        this.flashTimer = null;
+        this.onPlaybackChange = null;
     }
     
     setColors(colors) {
@@ -15,7 +60,259 @@ class TreeRenderer {
     }
     
     setData(data) {
+        const previous = this.data;
         this.data = data;
+        
+        // A lattice of a different shape starts from the fitted view
+        if (!previous || !isSameTreeShape(previous, data)) {
+            this.view = { scale: 1, x: 0, y: 0 };
+        }
+        
+        // Keep the selected node across recalculations while it still exists
+        if (this.selected && !this.hasNode(this.selected.i, this.selected.j)) {
+            this.selected = null;
+        }
+        
+        this.updateChanges();
+        this.endPlayback();
+    }
+    
+    /**
+     * Colour nodes by the change in option value from a baseline result (a
+     * pinned tree of the same shape), or pass null to colour them as usual
+     */
+    setComparison(baseline) {
+        this.baseline = baseline;
+        this.updateChanges();
+    }
+    
+    /**
+     * Node-by-node change from the baseline, and the largest change for scaling colours
+     * Measured over the whole tree so colours hold still while panning
+     */
+    updateChanges() {
+        this.changes = null;
+        if (!this.baseline || !this.data || !isSameTreeShape(this.baseline, this.data)) return;
+        
+        const base = this.baseline.optionTree;
+        let scale = 0;
+        const tree = this.data.optionTree.map((column, i) => column.map((value, j) => {
+            const change = value - base[i][j];
+            scale = Math.max(scale, Math.abs(change));
+            return change;
+        }));
+        
+        this.changes = { tree, scale };
+    }
+    
+    /**
+     * Shade nodes by the probability of reaching them (a tree from
+     * getNodeProbabilities for the current data), or pass null to colour them as usual
+     * Shading is relative to the likeliest node of each step, as the probability
+     * spreads thinner with every step
+     */
+    setProbabilities(probabilities) {
+        this.probabilities = probabilities ? {
+            tree: probabilities,
+            columnMax: probabilities.map(column => Math.max(...column))
+        } : null;
+    }
+    
+    /**
+     * Fill for a node whose value changed by change: the node fill shading towards
+     * the exercise colour for a rise and the barrier colour for a fall
+     */
+    getChangeColor(change, scale) {
+        const t = scale > 0 ? Math.min(Math.abs(change) / scale, 1) : 0;
+        return mixColors(this.colors.nodeFill, change > 0 ? this.colors.exercise : this.colors.barrier, t);
+    }
+    
+    hasNode(i, j) {
+        const stockTree = this.data && this.data.stockTree;
+        return Boolean(stockTree) && i < stockTree.length && j >= 0 && j < stockTree[i].length;
+    }
+    
+    /**
+     * Select a node ({ i, j }) to highlight its children and the paths reaching it, or null to clear
+     */
+    setSelection(node) {
+        this.selected = node && this.hasNode(node.i, node.j) ? node : null;
+    }
+    
+    /**
+     * Backward-induction playback
+     * The terminal payoffs fill in first, then each column from the last to the
+     * root, one node at a time. playback is { i, j, playing, flash }: (i, j) is
+     * the node just computed and every node after it in that order is still
+     * hidden; while i is the terminal column the whole column has filled at once.
+     * Each change is reported through onPlaybackChange.
+     */
+    startPlayback() {
+        if (!this.data) return;
+        
+        this.clearPlaybackTimers();
+        const N = this.data.stockTree.length - 1;
+        this.playback = { i: N, j: this.data.stockTree[N].length - 1, playing: false, flash: false };
+        this.render();
+        this.notifyPlayback();
+    }
+    
+    playPlayback() {
+        if (!this.playback || this.isPlaybackFinished()) {
+            this.startPlayback();
+        }
+        if (!this.playback) return;
+        
+        this.playback.playing = true;
+        this.schedulePlayback();
+        this.notifyPlayback();
+    }
+    
+    pausePlayback() {
+        if (!this.playback) return;
+        
+        clearTimeout(this.playbackTimer);
+        this.playback.playing = false;
+        this.notifyPlayback();
+    }
+    
+    /**
+     * Compute the next node by hand; the first step shows the terminal payoffs
+     */
+    stepPlayback() {
+        if (!this.playback) {
+            this.startPlayback();
+            return;
+        }
+        
+        this.pausePlayback();
+        this.advancePlayback();
+    }
+    
+    /**
+     * Leave playback and show the whole tree again
+     */
+    stopPlayback() {
+        this.endPlayback();
+        this.render();
+    }
+    
+    /**
+     * Nodes per second while playing
+     */
+    setPlaybackSpeed(speed) {
+        this.playbackSpeed = speed;
+        if (this.playback && this.playback.playing) {
+            this.schedulePlayback();
+        }
+    }
+    
+    endPlayback() {
+        if (!this.playback) return;
+        
+        this.clearPlaybackTimers();
+        this.playback = null;
+        this.notifyPlayback();
+    }
+    
+    clearPlaybackTimers() {
+        clearTimeout(this.playbackTimer);
+        clearTimeout(this.flashTimer);
+    }
+    
+    schedulePlayback() {
+        clearTimeout(this.playbackTimer);
+        this.playbackTimer = setTimeout(() => {
+            if (this.advancePlayback()) {
+                this.schedulePlayback();
+            }
+        }, 1000 / this.playbackSpeed);
+    }
+    
+    /**
+     * Move on to the next node, flashing it when exercise beats holding
+     * Returns false once the root has been computed
+     */
+    advancePlayback() {
+        const playback = this.playback;
+        if (this.isPlaybackFinished()) {
+            this.pausePlayback();
+            return false;
+        }
+        
+        const N = this.data.stockTree.length - 1;
+        if (playback.i < N && playback.j < this.data.stockTree[playback.i].length - 1) {
+            playback.j++;
+        } else {
+            playback.i--;
+            playback.j = 0;
+        }
+        
+        clearTimeout(this.flashTimer);
+        playback.flash = Boolean(this.data.earlyExercise[playback.i][playback.j]);
+        if (playback.flash) {
+            const flashTime = playback.playing
+                ? Math.min(TREE_PLAYBACK.flashTime, 600 / this.playbackSpeed)
+                : TREE_PLAYBACK.flashTime;
+            this.flashTimer = setTimeout(() => {
+                playback.flash = false;
+                this.render();
+            }, flashTime);
+        }
+        
+        this.render();
+        if (this.isPlaybackFinished()) {
+            playback.playing = false;
+        }
+        this.notifyPlayback();
+        return !this.isPlaybackFinished();
+    }
+    
+    isPlaybackFinished() {
+        return Boolean(this.playback) && this.playback.i === 0;
+    }
+    
+    /**
+     * Whether node (i, j) has its value yet; every node has outside playback
+     */
+    isComputed(i, j) {
+        const playback = this.playback;
+        return !playback || i > playback.i || (i === playback.i && j <= playback.j);
+    }
+    
+    /**
+     * The node being computed, or null outside playback and while the terminal payoffs show
+     */
+    getPlaybackNode() {
+        const playback = this.playback;
+        if (!playback || playback.i === this.data.stockTree.length - 1) return null;
+        return { i: playback.i, j: playback.j };
+    }
+    
+    notifyPlayback() {
+        if (this.onPlaybackChange) {
+            this.onPlaybackChange(this.playback);
+        }
+    }
+    
+    /**
+     * Node under a point in canvas (CSS pixel) coordinates, or null
+     */
+    getNodeAt(x, y) {
+        const layout = this.layout;
+        if (!layout) return null;
+        
+        const i = Math.round(layout.stepAt(x));
+        if (i < 0 || i > layout.N) return null;
+        
+        const j = Math.round(layout.stateAt(i, y));
+        if (j < 0 || j > layout.spread * i) return null;
+        
+        const dx = layout.x(i) - x;
+        const dy = layout.y(i, j) - y;
+        const reach = Math.max(this.nodeRadius, 6) + 2;
+        
+        return dx * dx + dy * dy <= reach * reach ? { i, j } : null;
     }
     
     resize() {
@@ -37,95 +334,202 @@ class TreeRenderer {
         
         this.resize();
         this.ctx.clearRect(0, 0, this.width, this.height);
-        
-        const { stockTree, optionTree, earlyExercise } = this.data;
+        this.drawTree();
+        this.renderMinimap();
+    }
+    
+    /**
+     * Draw the tree onto this.ctx over a this.width by this.height area
+     */
+    drawTree() {
+        const { stockTree, optionTree, earlyExercise, lattice } = this.data;
         const N = stockTree.length - 1;
+        const branches = getTreeBranches(this.data);
         
+        this.layout = null;
         if (N === 0) return;
         
-        // Calculate layout
-        const padding = { top: 40, right: 60, bottom: 40, left: 60 };
-        const availableWidth = this.width - padding.left - padding.right;
-        const availableHeight = this.height - padding.top - padding.bottom;
+        // Vertical levels in the terminal column (N for binomial, 2N for trinomial)
+        const depth = (branches - 1) * N;
+        
+        // Screen positions under the current zoom and pan
+        const layout = this.getLayout(N, branches);
+        this.layout = layout;
         
-        // Node sizing based on tree depth
-        const nodeRadius = Math.max(8, Math.min(25, 200 / (N + 1)));
-        const fontSize = Math.max(7, Math.min(11, 100 / (N + 1)));
+        // Node sizing and label detail follow the levels visible in one screen height
+        const visibleDepth = depth / layout.scale;
+        const spacing = Math.min(layout.stepWidth, layout.stepHeight);
+        const nodeRadius = Math.min(Math.max(8, 200 / (visibleDepth + 1)), 25, spacing / 2);
+        const fontSize = Math.max(7, Math.min(11, 100 / (visibleDepth + 1)));
+        this.nodeRadius = nodeRadius;
         
-        // Calculate positions for all nodes
-        const positions = this.calculatePositions(N, padding, availableWidth, availableHeight);
+        // Ex-dividend markers sit behind the whole tree
+        if (this.data.dividendSchedule && this.data.dividendSchedule.length > 0) {
+            this.drawDividends(this.data.dividendSchedule, lattice.dt, layout, fontSize);
+        }
+        
+        // Bermudan exercise columns
+        if (this.data.exerciseSteps) {
+            this.drawExerciseColumns(this.data.exerciseSteps, layout);
+        }
         
-        // Draw edges first (behind nodes)
-        this.drawEdges(positions, N);
+        // Draw edges first (behind nodes); they merge into a block on a very dense tree
+        if (spacing >= TREE_VIEW.minEdgeSpacing) {
+            this.drawEdges(layout);
+        }
+        
+        if (this.selected) {
+            this.drawSelectionPaths(layout);
+        }
+        
+        // Barrier level across the tree
+        if (this.data.barrier) {
+            this.drawBarrier(this.data.barrier.level, layout, stockTree, fontSize);
+        }
         
         // Draw nodes
-        this.drawNodes(positions, stockTree, optionTree, earlyExercise, N, nodeRadius, fontSize);
+        this.drawNodes(layout, stockTree, optionTree, earlyExercise, nodeRadius, fontSize, visibleDepth);
+        
+        // Early-exercise boundary through the critical node of each step; during
+        // playback only through the columns already computed
+        const boundary = (this.data.exerciseBoundary || []).filter(point => !this.playback || point.step > this.playback.i);
+        if (boundary.length > 0) {
+            this.drawExerciseBoundary(boundary, layout);
+        }
+        
+        if (this.selected) {
+            this.drawSelectionRings(layout, nodeRadius);
+        }
+        
+        if (this.getPlaybackNode()) {
+            this.drawPlaybackNode(layout, nodeRadius);
+        }
         
         // Draw labels
-        this.drawLabels(N, padding, availableWidth, fontSize);
+        this.drawLabels(layout, fontSize, this.data.exerciseSteps);
     }
     
-    calculatePositions(N, padding, availableWidth, availableHeight) {
-        const positions = [];
+    /**
+     * Map lattice nodes to screen coordinates
+     * The fitted layout spreads the tree over the canvas; view scales it about
+     * the top-left corner and then shifts it by (x, y)
+     */
+    getLayout(N, branches, view = this.view) {
+        const padding = { top: 40, right: 60, bottom: 40, left: 60 };
+        const spread = branches - 1;
+        const { scale, x: panX, y: panY } = view;
+        const availableWidth = this.width - padding.left - padding.right;
+        const availableHeight = this.height - padding.top - padding.bottom;
         const stepWidth = availableWidth / N;
+        const stepHeight = availableHeight / (spread * N + 1);
         
-        for (let i = 0; i <= N; i++) {
-            positions[i] = [];
-            const numNodes = i + 1;
-            const stepHeight = availableHeight / (N + 1);
-            const startY = padding.top + (N - i) * stepHeight / 2;
-            
-            for (let j = 0; j <= i; j++) {
-                const x = padding.left + i * stepWidth;
-                const y = startY + j * stepHeight;
-                positions[i][j] = { x, y };
-            }
-        }
-        
-        return positions;
+        return {
+            N,
+            branches,
+            spread,
+            scale,
+            stepWidth: stepWidth * scale,
+            stepHeight: stepHeight * scale,
+            left: padding.left * scale + panX,
+            right: (padding.left + availableWidth) * scale + panX,
+            top: padding.top * scale + panY,
+            bottom: (padding.top + availableHeight) * scale + panY,
+            x: i => (padding.left + i * stepWidth) * scale + panX,
+            y: (i, j) => (padding.top + ((N - i) * spread / 2 + j) * stepHeight) * scale + panY,
+            // Fractional step and state under a screen point
+            stepAt: x => ((x - panX) / scale - padding.left) / stepWidth,
+            stateAt: (i, y) => ((y - panY) / scale - padding.top) / stepHeight - (N - i) * spread / 2
+        };
     }
     
-    drawEdges(positions, N) {
+    /**
+     * Steps with nodes on screen, widened by a margin so edges entering the view are drawn
+     */
+    getVisibleSteps(layout, margin = 1) {
+        return [
+            Math.max(0, Math.floor(layout.stepAt(0)) - margin),
+            Math.min(layout.N, Math.ceil(layout.stepAt(this.width)) + margin)
+        ];
+    }
+    
+    /**
+     * States of step i with nodes on screen, widened by a margin
+     */
+    getVisibleStates(layout, i, margin = 1) {
+        return [
+            Math.max(0, Math.floor(layout.stateAt(i, 0)) - margin),
+            Math.min(layout.spread * i, Math.ceil(layout.stateAt(i, this.height)) + margin)
+        ];
+    }
+    
+    drawEdges(layout) {
+        const [first, last] = this.getVisibleSteps(layout);
+        
         this.ctx.strokeStyle = this.colors.grid;
         this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
         
-        for (let i = 0; i < N; i++) {
-            for (let j = 0; j <= i; j++) {
-                const from = positions[i][j];
-                
-                // Up edge
-                const toUp = positions[i + 1][j + 1];
-                this.ctx.beginPath();
-                this.ctx.moveTo(from.x, from.y);
-                this.ctx.lineTo(toUp.x, toUp.y);
-                this.ctx.stroke();
+        for (let i = first; i < Math.min(last, layout.N); i++) {
+            const [low, high] = this.getVisibleStates(layout, i, layout.spread + 1);
+            const x = layout.x(i);
+            const nextX = layout.x(i + 1);
+            
+            for (let j = low; j <= high; j++) {
+                const y = layout.y(i, j);
                 
-                // Down edge
-                const toDown = positions[i + 1][j];
-                this.ctx.beginPath();
-                this.ctx.moveTo(from.x, from.y);
-                this.ctx.lineTo(toDown.x, toDown.y);
-                this.ctx.stroke();
+                // One edge per branch: down, (middle), up
+                for (let b = 0; b < layout.branches; b++) {
+                    this.ctx.moveTo(x, y);
+                    this.ctx.lineTo(nextX, layout.y(i + 1, j + b));
+                }
             }
         }
+        
+        this.ctx.stroke();
     }
     
-    drawNodes(positions, stockTree, optionTree, earlyExercise, N, radius, fontSize) {
+    drawNodes(layout, stockTree, optionTree, earlyExercise, radius, fontSize, depth) {
+        const barrierHits = this.data.barrierHits;
+        const changes = this.playback ? null : this.changes;
+        const probabilities = this.playback ? null : this.probabilities;
+        const N = layout.N;
+        const [first, last] = this.getVisibleSteps(layout);
         this.ctx.font = `${fontSize}px Consolas, Monaco, monospace`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         
-        for (let i = 0; i <= N; i++) {
-            for (let j = 0; j <= i; j++) {
-                const pos = positions[i][j];
+        for (let i = first; i <= last; i++) {
+            const [low, high] = this.getVisibleStates(layout, i);
+            
+            for (let j = low; j <= high; j++) {
+                const pos = { x: layout.x(i), y: layout.y(i, j) };
                 const isTerminal = (i === N);
-                const isEarlyExercise = earlyExercise[i] && earlyExercise[i][j];
+                const isComputed = this.isComputed(i, j);
+                const isEarlyExercise = isComputed && earlyExercise[i] && earlyExercise[i][j];
+                const isBarrierHit = barrierHits && barrierHits[i][j];
                 
-                // Determine node color
+                // Determine node color; comparing with a pinned tree colours by change and the
+                // probability overlay by reach probability instead, and nodes playback has not
+                // reached yet are left empty
                 let fillColor, strokeColor;
-                if (isEarlyExercise) {
+                if (!isComputed) {
+                    fillColor = this.colors.nodeFill;
+                    strokeColor = this.colors.grid;
+                } else if (changes) {
+                    const change = changes.tree[i][j];
+                    fillColor = this.getChangeColor(change, changes.scale);
+                    strokeColor = Math.abs(change) <= changes.scale * 1e-9 ? this.colors.grid
+                        : change > 0 ? this.colors.exercise : this.colors.barrier;
+                } else if (probabilities) {
+                    const t = probabilities.columnMax[i] > 0 ? probabilities.tree[i][j] / probabilities.columnMax[i] : 0;
+                    fillColor = mixColors(this.colors.nodeFill, this.colors.nodeStroke, t);
+                    strokeColor = this.colors.nodeStroke;
+                } else if (isEarlyExercise) {
                     fillColor = this.colors.exercise;
                     strokeColor = this.colors.exercise;
+                } else if (isBarrierHit) {
+                    fillColor = this.colors.nodeFill;
+                    strokeColor = this.colors.barrier;
                 } else if (isTerminal) {
                     fillColor = this.colors.terminal;
                     strokeColor = this.colors.terminal;
@@ -134,6 +538,13 @@ class TreeRenderer {
                     strokeColor = this.colors.nodeStroke;
                 }
                 
+                // Nodes too small for a circle become single dots in their outline color
+                if (radius < 2) {
+                    this.ctx.fillStyle = strokeColor;
+                    this.ctx.fillRect(pos.x - 1, pos.y - 1, 2, 2);
+                    continue;
+                }
+                
                 // Draw node circle
                 this.ctx.beginPath();
                 this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
@@ -141,7 +552,9 @@ class TreeRenderer {
                 this.ctx.fill();
                 this.ctx.strokeStyle = strokeColor;
                 this.ctx.lineWidth = 1.5;
+                this.ctx.setLineDash(isBarrierHit ? [3, 2] : []);
                 this.ctx.stroke();
+                this.ctx.setLineDash([]);
                 
                 // Draw stock price above node
                 const stockPrice = stockTree[i][j];
@@ -149,14 +562,25 @@ class TreeRenderer {
                 
                 this.ctx.fillStyle = this.colors.text;
                 
-                // Only show values if tree isn't too large
-                if (N <= 10) {
+                // Only show values once few enough levels share the screen
+                if (depth <= TREE_VIEW.fullLabelDepth) {
+                    this.ctx.font = `${fontSize}px Consolas, Monaco, monospace`;
                     this.ctx.fillText(stockPrice.toFixed(1), pos.x, pos.y - radius - fontSize * 0.8);
                     
-                    // Option value inside or below node
-                    this.ctx.fillStyle = isEarlyExercise ? this.colors.exerciseText : this.colors.valueText;
-                    this.ctx.fillText(optionValue.toFixed(2), pos.x, pos.y + radius + fontSize * 0.8);
-                } else if (N <= 15) {
+                    // Option value (or its change from the pinned tree, or the probability of
+                    // reaching the node) inside or below node, once playback has computed it
+                    if (changes) {
+                        this.ctx.fillStyle = this.colors.valueText;
+                        this.ctx.fillText(formatChange(changes.tree[i][j], 2), pos.x, pos.y + radius + fontSize * 0.8);
+                    } else if (probabilities) {
+                        const percent = probabilities.tree[i][j] * 100;
+                        this.ctx.fillStyle = this.colors.valueText;
+                        this.ctx.fillText(percent >= 0.05 ? percent.toFixed(1) + '%' : '<0.1%', pos.x, pos.y + radius + fontSize * 0.8);
+                    } else if (isComputed) {
+                        this.ctx.fillStyle = isEarlyExercise ? this.colors.exerciseText : this.colors.valueText;
+                        this.ctx.fillText(optionValue.toFixed(2), pos.x, pos.y + radius + fontSize * 0.8);
+                    }
+                } else if (depth <= TREE_VIEW.shortLabelDepth) {
                     // Abbreviated for medium trees
                     this.ctx.font = `${fontSize * 0.8}px Consolas, Monaco, monospace`;
                     this.ctx.fillText(stockPrice.toFixed(0), pos.x, pos.y - radius - fontSize * 0.6);
@@ -165,16 +589,406 @@ class TreeRenderer {
         }
     }
     
-    drawLabels(N, padding, availableWidth, fontSize) {
+    /**
+     * Whether node (k, m) lies on some path to node (i, j)
+     */
+    reachesNode(k, m, i, j, spread) {
+        return k <= i && m <= j && j - m <= spread * (i - k);
+    }
+    
+    /**
+     * Highlight every edge on a path from the root to the selected node,
+     * and the edges to its children
+     */
+    drawSelectionPaths(layout) {
+        const { i, j } = this.selected;
+        const { N, branches, spread } = layout;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.highlight;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        
+        for (let k = 0; k < i; k++) {
+            for (let m = Math.max(0, j - spread * (i - k)); m <= Math.min(j, spread * k); m++) {
+                for (let b = 0; b < branches; b++) {
+                    if (!this.reachesNode(k + 1, m + b, i, j, spread)) continue;
+                    this.ctx.moveTo(layout.x(k), layout.y(k, m));
+                    this.ctx.lineTo(layout.x(k + 1), layout.y(k + 1, m + b));
+                }
+            }
+        }
+        this.ctx.stroke();
+        
+        if (i < N) {
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.beginPath();
+            for (let b = 0; b < branches; b++) {
+                this.ctx.moveTo(layout.x(i), layout.y(i, j));
+                this.ctx.lineTo(layout.x(i + 1), layout.y(i + 1, j + b));
+            }
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Ring the selected node (solid) and its children (dashed)
+     */
+    drawSelectionRings(layout, radius) {
+        const { i, j } = this.selected;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.highlight;
+        
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(layout.x(i), layout.y(i, j), radius + 4, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        if (i < layout.N) {
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([3, 2]);
+            for (let b = 0; b < layout.branches; b++) {
+                this.ctx.beginPath();
+                this.ctx.arc(layout.x(i + 1), layout.y(i + 1, j + b), radius + 3, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Ring the node playback is computing and mark the edges to the children
+     * whose discounted expectation gives its value; an exercise decision
+     * flashes a wider ring in the exercise colour
+     */
+    drawPlaybackNode(layout, radius) {
+        const { i, j } = this.getPlaybackNode();
+        const x = layout.x(i);
+        const y = layout.y(i, j);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.highlight;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        for (let b = 0; b < layout.branches; b++) {
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(layout.x(i + 1), layout.y(i + 1, j + b));
+        }
+        this.ctx.stroke();
+        
+        this.ctx.setLineDash([]);
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        if (this.playback.flash) {
+            this.ctx.strokeStyle = this.colors.exercise;
+            this.ctx.lineWidth = 4;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius + 10, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Map a stock price to a y coordinate by interpolating log prices down the
+     * terminal column, extrapolating past its ends
+     */
+    priceToY(price, layout, stockTree) {
+        const N = layout.N;
+        const column = stockTree[N];
+        const target = Math.log(price);
+        
+        let k = 0;
+        while (k < column.length - 2 && Math.log(column[k + 1]) < target) {
+            k++;
+        }
+        
+        const lo = Math.log(column[k]);
+        const hi = Math.log(column[k + 1]);
+        const t = (target - lo) / (hi - lo);
+        
+        return layout.y(N, k) + t * (layout.y(N, k + 1) - layout.y(N, k));
+    }
+    
+    drawBarrier(level, layout, stockTree, fontSize) {
+        const y = Math.min(Math.max(this.priceToY(level, layout, stockTree), layout.top), layout.bottom);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.barrier;
+        this.ctx.fillStyle = this.colors.barrier;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([8, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(layout.left - 20, y);
+        this.ctx.lineTo(layout.right + 20, y);
+        this.ctx.stroke();
+        
+        this.ctx.font = `${Math.max(9, fontSize)}px Consolas, Monaco, monospace`;
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`H=${level.toFixed(2)}`, this.width - 4, y - 3);
+        this.ctx.restore();
+    }
+    
+    drawDividends(schedule, dt, layout, fontSize) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.text;
         this.ctx.fillStyle = this.colors.text;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
         this.ctx.font = `${Math.max(9, fontSize)}px Consolas, Monaco, monospace`;
         this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
         
-        // Step labels at top
-        const stepWidth = availableWidth / N;
-        for (let i = 0; i <= N; i++) {
-            const x = padding.left + i * stepWidth;
-            this.ctx.fillText(`t=${i}`, x, 15);
+        schedule.forEach(dividend => {
+            const x = layout.x(dividend.time / dt);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, layout.top - 10);
+            this.ctx.lineTo(x, layout.bottom);
+            this.ctx.stroke();
+            this.ctx.fillText(`-$${dividend.amount.toFixed(2)}`, x, layout.bottom + 6);
+        });
+        
+        this.ctx.restore();
+    }
+    
+    drawExerciseColumns(exerciseSteps, layout) {
+        const bandWidth = Math.min(layout.stepWidth * 0.6, 40);
+        const [first, last] = this.getVisibleSteps(layout);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = this.colors.exercise;
+        this.ctx.globalAlpha = 0.12;
+        
+        for (let i = first; i <= Math.min(last, layout.N - 1); i++) {
+            if (!exerciseSteps[i]) continue;
+            const x = layout.x(i);
+            this.ctx.fillRect(x - bandWidth / 2, layout.top - 15, bandWidth, layout.bottom - layout.top + 30);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    drawExerciseBoundary(boundary, layout) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.exercise;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        boundary.forEach((point, k) => {
+            const x = layout.x(point.step);
+            const y = layout.y(point.step, point.state);
+            if (k === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    drawLabels(layout, fontSize, exerciseSteps = null) {
+        this.ctx.font = `${Math.max(9, fontSize)}px Consolas, Monaco, monospace`;
+        this.ctx.textAlign = 'center';
+        
+        // Step labels at top, highlighted where Bermudan exercise is allowed;
+        // on a dense tree only every few steps gets one
+        const every = Math.max(1, Math.ceil(TREE_VIEW.minStepLabelSpacing / layout.stepWidth));
+        const [first, last] = this.getVisibleSteps(layout);
+        for (let i = Math.ceil(first / every) * every; i <= last; i += every) {
+            this.ctx.fillStyle = exerciseSteps && exerciseSteps[i] ? this.colors.exercise : this.colors.text;
+            this.ctx.fillText(`t=${i}`, layout.x(i), 15);
+        }
+    }
+    
+    /**
+     * Zoom by a factor about a screen point
+     */
+    zoomAt(x, y, factor) {
+        if (!this.layout) return;
+        
+        // Zoom in until about minZoomLevels lattice levels fill the screen height
+        const depth = this.layout.spread * this.layout.N + 1;
+        const maxScale = Math.max(1, depth / TREE_VIEW.minZoomLevels);
+        const scale = Math.min(Math.max(this.view.scale * factor, 1), maxScale);
+        const ratio = scale / this.view.scale;
+        
+        this.view = { scale, x: x - (x - this.view.x) * ratio, y: y - (y - this.view.y) * ratio };
+        this.clampView();
+        this.render();
+    }
+    
+    /**
+     * Move the view by a screen offset
+     */
+    panBy(dx, dy) {
+        this.view.x += dx;
+        this.view.y += dy;
+        this.clampView();
+        this.render();
+    }
+    
+    /**
+     * Keep the zoomed tree covering the whole canvas
+     */
+    clampView() {
+        const { scale } = this.view;
+        this.view.x = Math.min(0, Math.max(this.width * (1 - scale), this.view.x));
+        this.view.y = Math.min(0, Math.max(this.height * (1 - scale), this.view.y));
+    }
+    
+    /**
+     * Reset zoom and pan so the whole tree fits the canvas
+     */
+    fitToView() {
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.render();
+    }
+    
+    /**
+     * Overview of the whole tree with the visible area outlined, shown while zoomed
+     */
+    renderMinimap() {
+        if (!this.minimap) return;
+        
+        const zoomed = Boolean(this.layout) && this.view.scale > 1;
+        this.minimap.style.display = zoomed ? 'block' : 'none';
+        if (!zoomed) return;
+        
+        const ctx = this.minimap.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.minimap.clientWidth;
+        const height = this.minimap.clientHeight;
+        this.minimap.width = width * dpr;
+        this.minimap.height = height * dpr;
+        ctx.scale(dpr, dpr);
+        
+        // The fitted tree shrunk into the minimap
+        const k = Math.min(width / this.width, height / this.height);
+        const { N, branches, spread } = this.layout;
+        const fit = this.getLayout(N, branches, { scale: 1, x: 0, y: 0 });
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = this.colors.nodeFill;
+        ctx.fillRect(0, 0, width, height);
+        
+        ctx.beginPath();
+        ctx.moveTo(fit.x(0) * k, fit.y(0, 0) * k);
+        ctx.lineTo(fit.x(N) * k, fit.y(N, 0) * k);
+        ctx.lineTo(fit.x(N) * k, fit.y(N, spread * N) * k);
+        ctx.closePath();
+        ctx.fillStyle = this.colors.grid;
+        ctx.fill();
+        ctx.strokeStyle = this.colors.nodeStroke;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Visible area in fitted coordinates
+        const { scale, x, y } = this.view;
+        ctx.strokeStyle = this.colors.highlight;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(-x / scale * k, -y / scale * k, this.width / scale * k, this.height / scale * k);
+        
+        this.minimapScale = k;
+    }
+    
+    /**
+     * Centre the view on a point of the minimap
+     */
+    centerOnMinimap(mx, my) {
+        const k = this.minimapScale;
+        if (!k) return;
+        
+        const { scale } = this.view;
+        this.view.x = this.width / 2 - (mx / k) * scale;
+        this.view.y = this.height / 2 - (my / k) * scale;
+        this.clampView();
+        this.render();
+    }
+    
+    /**
+     * Wheel zoom, drag to pan, hover and click selection, and minimap navigation
+     * Hover and selection are reported through onNodeHover and onNodeSelect
+     */
+    attachControls() {
+        const canvas = this.canvas;
+        
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.data) return;
+            e.preventDefault();
+            this.zoomAt(e.offsetX, e.offsetY, e.deltaY < 0 ? TREE_VIEW.zoomStep : 1 / TREE_VIEW.zoomStep);
+        }, { passive: false });
+        
+        canvas.addEventListener('mousedown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY, moved: false };
+        });
+        
+        window.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            
+            const dx = e.clientX - this.drag.x;
+            const dy = e.clientY - this.drag.y;
+            if (!this.drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+            
+            this.drag = { x: e.clientX, y: e.clientY, moved: true };
+            if (this.view.scale > 1) {
+                canvas.style.cursor = 'grabbing';
+                this.panBy(dx, dy);
+            }
+        });
+        
+        window.addEventListener('mouseup', () => {
+            this.dragMoved = Boolean(this.drag && this.drag.moved);
+            this.drag = null;
+        });
+        
+        canvas.addEventListener('mousemove', (e) => {
+            if (this.drag && this.drag.moved) return;
+            
+            const node = this.getNodeAt(e.offsetX, e.offsetY);
+            canvas.style.cursor = node ? 'pointer' : (this.view.scale > 1 ? 'grab' : 'default');
+            if (this.onNodeHover) {
+                this.onNodeHover(node);
+            }
+        });
+        
+        canvas.addEventListener('mouseleave', () => {
+            if (this.onNodeHover) {
+                this.onNodeHover(null);
+            }
+        });
+        
+        // A click that ends a drag does not change the selection
+        canvas.addEventListener('click', (e) => {
+            if (this.dragMoved) {
+                this.dragMoved = false;
+                return;
+            }
+            
+            this.setSelection(this.getNodeAt(e.offsetX, e.offsetY));
+            this.render();
+            if (this.onNodeSelect) {
+                this.onNodeSelect(this.selected);
+            }
+        });
+        
+        if (this.minimap) {
+            const navigate = (e) => {
+                if (e.buttons & 1) {
+                    this.centerOnMinimap(e.offsetX, e.offsetY);
+                }
+            };
+            this.minimap.addEventListener('mousedown', navigate);
+            this.minimap.addEventListener('mousemove', navigate);
         }
     }
     
@@ -183,16 +997,38 @@ class TreeRenderer {
     }
 }
 
-function initTreeRenderer(canvas) {
-    treeRenderer = new TreeRenderer(canvas);
+function initTreeRenderer(canvas, minimap = null) {
+    treeRenderer = new TreeRenderer(canvas, minimap);
+    treeRenderer.attachControls();
     window.addEventListener('resize', () => {
         if (treeRenderer && treeRenderer.data) {
+            treeRenderer.clampView();
             treeRenderer.render();
         }
     });
     return treeRenderer;
 }
 
+/**
+ * Whether two results have lattices of the same shape, so their nodes pair up one to one
+ */
+function isSameTreeShape(a, b) {
+    return a.stockTree.length === b.stockTree.length && getTreeBranches(a) === getTreeBranches(b);
+}
+
+function getTreeBranches(data) {
+    return (data.lattice && data.lattice.branches) || 2;
+}
+
+/**
+ * A change rounded to decimals with its sign, and no sign when it rounds to zero
+ */
+function formatChange(value, decimals) {
+    const rounded = Number(value.toFixed(decimals));
+    if (rounded === 0) return (0).toFixed(decimals);
+    return (rounded > 0 ? '+' : '') + rounded.toFixed(decimals);
+}
+
 function getTreeColors(theme) {
     const themes = {
         bloomberg: {
@@ -203,7 +1039,9 @@ function getTreeColors(theme) {
             exercise: '#00ff00',
             exerciseText: '#000',
             terminal: '#555',
-            valueText: '#ff9900'
+            valueText: '#ff9900',
+            barrier: '#ff4444',
+            highlight: '#ffffff'
         },
         light: {
             grid: '#ddd',
@@ -213,7 +1051,9 @@ function getTreeColors(theme) {
             exercise: '#16a34a',
             exerciseText: '#fff',
             terminal: '#999',
-            valueText: '#2563eb'
+            valueText: '#2563eb',
+            barrier: '#dc2626',
+            highlight: '#f59e0b'
         },
         matrix: {
             grid: '#003300',
@@ -223,7 +1063,9 @@ function getTreeColors(theme) {
             exercise: '#00ff00',
             exerciseText: '#000',
             terminal: '#005500',
-            valueText: '#00ff00'
+            valueText: '#00ff00',
+            barrier: '#ff0000',
+            highlight: '#ccffcc'
         },
         midnight: {
             grid: '#334155',
@@ -233,7 +1075,9 @@ function getTreeColors(theme) {
             exercise: '#4ade80',
             exerciseText: '#0f172a',
             terminal: '#475569',
-            valueText: '#38bdf8'
+            valueText: '#38bdf8',
+            barrier: '#f87171',
+            highlight: '#facc15'
         },
         sunset: {
             grid: '#e94560',
@@ -243,7 +1087,9 @@ function getTreeColors(theme) {
             exercise: '#4ecdc4',
             exerciseText: '#1a1a2e',
             terminal: '#e94560',
-            valueText: '#feca57'
+            valueText: '#feca57',
+            barrier: '#ff6b6b',
+            highlight: '#ffffff'
         },
         pink: {
             grid: '#ff69b4',
@@ -253,7 +1099,9 @@ function getTreeColors(theme) {
             exercise: '#ff1493',
             exerciseText: '#2d1b2e',
             terminal: '#8b4570',
-            valueText: '#ffb3d9'
+            valueText: '#ffb3d9',
+            barrier: '#e0115f',
+            highlight: '#ffffff'
         },
         laurier: {
             grid: '#6a3fb5',
@@ -263,7 +1111,9 @@ function getTreeColors(theme) {
             exercise: '#ffd700',
             exerciseText: '#1a0f2e',
             terminal: '#4a2882',
-            valueText: '#ffd700'
+            valueText: '#ffd700',
+            barrier: '#ff6b6b',
+            highlight: '#ffffff'
         }
     };
     
@@ -0,0 +1,221 @@
+// Trinomial Tree Option Pricing - Core Calculations
+
+/**
+ * Calculate Boyle trinomial parameters
+ * Moves are u = exp(sigma * sqrt(2 dt)), m = 1 and d = 1 / u
+ */
+function calculateBoyleParams(r, q, sigma, T, N) {
+    const dt = T / N;
+    const a = Math.exp((r - q) * dt / 2);
+    const b = Math.exp(sigma * Math.sqrt(dt / 2));
+    const u = Math.exp(sigma * Math.sqrt(2 * dt));
+    
+    const pu = Math.pow((a - 1 / b) / (b - 1 / b), 2);
+    const pd = Math.pow((b - a) / (b - 1 / b), 2);
+    
+    return { dt, u, d: 1 / u, pu, pm: 1 - pu - pd, pd, discount: Math.exp(-r * dt) };
+}
+
+/**
+ * Calculate Kamrad-Ritchken trinomial parameters
+ * lambda = sqrt(3/2) gives a middle probability of one third
+ */
+function calculateKRParams(r, q, sigma, T, N) {
+    const dt = T / N;
+    const lambda = Math.sqrt(1.5);
+    const u = Math.exp(lambda * sigma * Math.sqrt(dt));
+    const drift = (r - q - 0.5 * sigma * sigma) * Math.sqrt(dt) / (2 * lambda * sigma);
+    
+    const pu = 1 / (2 * lambda * lambda) + drift;
+    const pd = 1 / (2 * lambda * lambda) - drift;
+    
+    return { dt, u, d: 1 / u, pu, pm: 1 - pu - pd, pd, discount: Math.exp(-r * dt) };
+}
+
+/**
+ * Trinomial parameterizations
+ */
+const TRINOMIAL_MODELS = {
+    boyle: { name: 'Boyle Trinomial', label: 'Boyle', calculate: calculateBoyleParams },
+    kr: { name: 'Kamrad-Ritchken Trinomial', label: 'KR', calculate: calculateKRParams }
+};
+
+/**
+ * Calculate trinomial lattice parameters for the selected model
+ * p is kept as an alias of pu so the shape matches the binomial lattice
+ */
+function calculateTrinomialParams(model, r, q, sigma, T, N) {
+    const key = TRINOMIAL_MODELS[model] ? model : 'boyle';
+    const spec = TRINOMIAL_MODELS[key];
+    const lattice = spec.calculate(r, q, sigma, T, N);
+    
+    return { ...lattice, p: lattice.pu, model: key, name: spec.name, label: spec.label, N, branches: 3 };
+}
+
+/**
+ * Build the trinomial stock price tree
+ * tree[i] has 2i + 1 states; state j sits (j - i) up moves from the spot
+ */
+function buildTrinomialStockTree(S, u, N) {
+    const tree = [];
+    
+    for (let i = 0; i <= N; i++) {
+        tree[i] = [];
+        for (let j = 0; j <= 2 * i; j++) {
+            tree[i][j] = S * Math.pow(u, j - i);
+        }
+    }
+    
+    return tree;
+}
+
+/**
+ * Price on a trinomial tree using backward induction
+ * Each step uses its own probabilities and discount factor (see getStepParams).
+ * Early exercise is only checked when isAmerican is set (and, for a Bermudan
+ * schedule, only at exerciseSteps); nodes on a knock-out barrier are worth the rebate.
+ * payoffSpec selects a payoff from PAYOFFS (vanilla when null).
+ */
+function priceTrinomial(stockTree, K, lattice, isCall, isAmerican, N, knockOut = null, exerciseSteps = null, payoffSpec = null) {
+    const optionTree = [];
+    const earlyExercise = [];
+    
+    for (let i = 0; i <= N; i++) {
+        optionTree[i] = [];
+        earlyExercise[i] = [];
+    }
+    
+    // Terminal payoffs
+    for (let j = 0; j <= 2 * N; j++) {
+        optionTree[N][j] = knockOut && isBarrierHit(stockTree[N][j], knockOut)
+            ? knockOut.rebate
+            : payoff(stockTree[N][j], K, isCall, payoffSpec);
+        earlyExercise[N][j] = false;
+    }
+    
+    // Backward induction: node (i, j) leads to (i+1, j), (i+1, j+1), (i+1, j+2)
+    for (let i = N - 1; i >= 0; i--) {
+        const { pu, pm, pd, discount } = getStepParams(lattice, i);
+        const next = optionTree[i + 1];
+        for (let j = 0; j <= 2 * i; j++) {
+            if (knockOut && isBarrierHit(stockTree[i][j], knockOut)) {
+                optionTree[i][j] = knockOut.rebate;
+                earlyExercise[i][j] = false;
+                continue;
+            }
+            
+            const holdValue = discount * (pu * next[j + 2] + pm * next[j + 1] + pd * next[j]);
+            const canExercise = isAmerican && (!exerciseSteps || exerciseSteps[i]);
+            const exerciseValue = canExercise ? payoff(stockTree[i][j], K, isCall, payoffSpec) : 0;
+            
+            if (canExercise && exerciseValue > holdValue) {
+                optionTree[i][j] = exerciseValue;
+                earlyExercise[i][j] = true;
+            } else {
+                optionTree[i][j] = holdValue;
+                earlyExercise[i][j] = false;
+            }
+        }
+    }
+    
+    return { optionTree, earlyExercise };
+}
+
+/**
+ * Calculate Delta from the first trinomial step
+ */
+function calculateTrinomialDelta(stockTree, optionTree) {
+    if (stockTree.length < 2) return 0;
+    
+    return (optionTree[1][2] - optionTree[1][0]) / (stockTree[1][2] - stockTree[1][0]);
+}
+
+/**
+ * Calculate Gamma from the three nodes of the first trinomial step
+ */
+function calculateTrinomialGamma(stockTree, optionTree) {
+    if (stockTree.length < 2) return 0;
+    
+    const [Sd, Sm, Su] = stockTree[1];
+    const [Vd, Vm, Vu] = optionTree[1];
+    
+    const deltaUp = (Vu - Vm) / (Su - Sm);
+    const deltaDown = (Vm - Vd) / (Sm - Sd);
+    
+    return (deltaUp - deltaDown) / (0.5 * (Su - Sd));
+}
+
+/**
+ * Main trinomial pricing function - same result shape as priceBinomialTree
+ */
+function priceTrinomialTree(params) {
+    const { S, K, T, N, isCall, isAmerican, model, dividends } = params;
+    
+    const curves = getTermCurves(params);
+    const { r, q, sigma } = getLatticeInputs(params, curves, N, 3);
+    const rates = curves && curves.rates;
+    
+    const escrowedS = S - dividendPV(dividends, r, 0, T, rates);
+    const lattice = applyTermStructure(calculateTrinomialParams(model, r, q, sigma, T, N), curves, T, { r, q, sigma });
+    const stockTree = applyEscrowedDividends(
+        buildTrinomialStockTree(escrowedS, lattice.u, N), dividends, r, lattice.dt, T, rates
+    );
+    
+    const barrier = getBarrier(params.barrier);
+    const knockIn = barrier && BARRIER_TYPES[barrier.type].knockIn;
+    const exerciseSteps = isAmerican ? getExerciseSteps(params.bermudan, N, lattice.dt) : null;
+    const payoffSpec = getPayoffSpec(params.payoff);
+    let { optionTree, earlyExercise } = priceTrinomial(
+        stockTree, K, lattice, isCall, isAmerican, N, knockIn ? null : barrier, exerciseSteps, payoffSpec
+    );
+    
+    if (knockIn) {
+        optionTree = priceKnockIn(stockTree, optionTree, barrier, lattice, N);
+        earlyExercise = getKnockInExercise(stockTree, earlyExercise, barrier);
+    }
+    
+    const delta = calculateTrinomialDelta(stockTree, optionTree);
+    const gamma = calculateTrinomialGamma(stockTree, optionTree);
+    const theta = calculateTheta(stockTree, optionTree, lattice.dt, delta, gamma);
+    const { vega, rho } = params.skipBumpGreeks
+        ? { vega: null, rho: null }
+        : calculateBumpGreeks(params, priceTrinomialTree);
+    
+    const earlyExerciseNodes = isAmerican
+        ? getEarlyExerciseNodes(stockTree, optionTree, earlyExercise, N)
+        : [];
+    
+    return {
+        lattice,
+        stockTree,
+        optionTree,
+        earlyExercise,
+        price: optionTree[0][0],
+        delta,
+        gamma,
+        theta,
+        vega,
+        rho,
+        earlyExerciseNodes,
+        exerciseBoundary: getExerciseBoundary(earlyExerciseNodes, lattice.dt, isCall),
+        dividendSchedule: getDividendSchedule(dividends, r, T, lattice.dt, rates),
+        barrier,
+        barrierHits: barrier ? buildBarrierHits(stockTree, barrier) : null,
+        exerciseSteps,
+        payoff: payoffSpec
+    };
+}
+
+/**
+ * Price with the binomial or trinomial engine depending on the model
+ */
+function priceLattice(params) {
+    return TRINOMIAL_MODELS[params.model] ? priceTrinomialTree(params) : priceBinomialTree(params);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRINOMIAL_MODELS, calculateTrinomialParams, calculateTrinomialDelta,
+        calculateTrinomialGamma, priceTrinomialTree, priceLattice
+    };
+}
@@ -0,0 +1,212 @@
+// Input Validation - Field Errors and Lattice Diagnostics
+
+/**
+ * Slack allowed on a probability for floating-point rounding
+ */
+const PROBABILITY_TOLERANCE = 1e-12;
+
+/**
+ * Form fields of the term-structure curves, by TERM_CURVES key
+ */
+const TERM_CURVE_FIELDS = {
+    rates: 'termRates',
+    yields: 'termYields',
+    vols: 'termVols'
+};
+
+/**
+ * Why a numeric input cannot be used, or null when it can
+ * rule: { above, atLeast, atMost, integer }
+ */
+function describeInputError(name, value, rule = {}) {
+    if (typeof value !== 'number' || !isFinite(value)) return `${name}: enter a number`;
+    if (rule.integer && !Number.isInteger(value)) return `${name} must be a whole number`;
+    if (rule.above !== undefined && !(value > rule.above)) return `${name} must be above ${rule.above}`;
+    if (rule.atLeast !== undefined && value < rule.atLeast) return `${name} must be at least ${rule.atLeast}`;
+    if (rule.atMost !== undefined && value > rule.atMost) return `${name} must be at most ${rule.atMost}`;
+    return null;
+}
+
+/**
+ * Field-level errors in pricing params, as a list of { field, message }
+ * Fields are named as the form names them (SCENARIO_FIELDS); maxSteps caps N.
+ * An empty list means the params can be priced.
+ */
+function validateParams(params, maxSteps = MAX_PRICING_STEPS) {
+    const errors = [];
+    const check = (field, name, value, rule) => {
+        const message = describeInputError(name, value, rule);
+        if (message) {
+            errors.push({ field, message });
+        }
+    };
+    
+    check('S', 'Spot price', params.S, { above: 0 });
+    check('K', 'Strike price', params.K, { above: 0 });
+    check('r', 'Risk-free rate', params.r);
+    check('q', 'Dividend yield', params.q);
+    check('sigma', 'Volatility', params.sigma, { above: 0 });
+    check('T', 'Time to maturity', params.T, { above: 0 });
+    check('N', 'Steps', params.N, { integer: true, atLeast: 1, atMost: maxSteps });
+    if (params.pricingN !== undefined) {
+        check('pricingN', 'Pricing steps', params.pricingN, { integer: true, atLeast: 0, atMost: MAX_PRICING_STEPS });
+    }
+    
+    if ((params.dividends || []).some(dividend => !(dividend.time > 0) || !(dividend.amount > 0))) {
+        errors.push({ field: 'dividends', message: 'Cash dividends: each line needs an ex-date and an amount above 0' });
+    }
+    
+    if (params.bermudan) {
+        if (params.bermudan.dates.some(time => !(time > 0))) {
+            errors.push({ field: 'bermudanDates', message: 'Exercise dates must be times in years above 0' });
+        } else if (params.bermudan.dates.length === 0 && params.bermudan.every === 0) {
+            errors.push({ field: 'bermudanDates', message: 'A Bermudan option needs exercise dates or an exercise interval' });
+        }
+        check('bermudanEvery', 'Exercise every', params.bermudan.every, { integer: true, atLeast: 0 });
+    }
+    
+    if (params.barrier) {
+        check('barrierLevel', 'Barrier level', params.barrier.level, { above: 0 });
+        check('barrierRebate', 'Rebate', params.barrier.rebate, { atLeast: 0 });
+    }
+    
+    const payoffInputs = params.payoff && PAYOFFS[params.payoff.type] ? PAYOFFS[params.payoff.type].inputs : [];
+    if (payoffInputs.includes('cash')) {
+        check('payoffCash', 'Cash amount', params.payoff.cash);
+    }
+    if (payoffInputs.includes('trigger')) {
+        check('payoffTrigger', 'Trigger price', params.payoff.trigger, { above: 0 });
+    }
+    if (payoffInputs.includes('power')) {
+        check('payoffPower', 'Power', params.payoff.power, { above: 0 });
+    }
+    
+    if (params.termStructure) {
+        Object.entries(TERM_CURVES).forEach(([key, spec]) => {
+            const points = params.termStructure[key] || [];
+            if (points.some(point => !(point.time > 0) || !isFinite(point.value))) {
+                errors.push({ field: TERM_CURVE_FIELDS[key], message: `${spec.name}: each line needs a maturity above 0 and a percentage` });
+            } else if (key === 'vols' && points.some(point => !(point.value > 0))) {
+                errors.push({ field: TERM_CURVE_FIELDS[key], message: `${spec.name} pillars must be above 0` });
+            } else if (key === 'vols' && points.length > 0 && !TRINOMIAL_MODELS[params.model]) {
+                errors.push({ field: TERM_CURVE_FIELDS[key], message: BINOMIAL_VOL_CURVE_ERROR });
+            }
+        });
+    }
+    
+    // A schedule whose dates all snap to the first step or expiry would price as
+    // European; the finest lattice priced (pricing steps over display steps) decides
+    if (errors.length === 0 && params.bermudan) {
+        const { N, dt } = buildLattice(params, Math.max(params.N, params.pricingN || 0));
+        if (!getExerciseSteps(params.bermudan, N, dt).some(Boolean)) {
+            errors.push({ field: 'bermudanDates', message: `No exercise date or interval falls after the first step and before expiry (Δt = ${dt.toPrecision(4)})` });
+        }
+    }
+    
+    // Escrowed dividends need the market inputs, so check them last
+    if (errors.length === 0 && params.dividends && params.dividends.length > 0) {
+        const curves = getTermCurves(params);
+        const { r } = getLatticeInputs(params, curves);
+        if (params.S - dividendPV(params.dividends, r, 0, params.T, curves && curves.rates) <= 0) {
+            errors.push({ field: 'dividends', message: 'Cash dividends are worth more than the spot price' });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * The lattice priceLattice builds for params on N steps, without pricing on it
+ */
+function buildLattice(params, N) {
+    const { S, K, T, model, dividends } = params;
+    const isTrinomial = Boolean(TRINOMIAL_MODELS[model]);
+    
+    const curves = getTermCurves(params);
+    const { r, q, sigma } = getLatticeInputs(params, curves, N, isTrinomial ? 3 : 2);
+    const escrowedS = S - dividendPV(dividends, r, 0, T, curves && curves.rates);
+    
+    return applyTermStructure(
+        isTrinomial
+            ? calculateTrinomialParams(model, r, q, sigma, T, N)
+            : calculateLatticeParams(model || 'crr', escrowedS, K, r, q, sigma, T, N),
+        curves, T, { r, q, sigma }
+    );
+}
+
+/**
+ * First transition probability outside [0, 1] on the lattice for N steps,
+ * as { name, value, step, dt }, or null when every step is a valid measure
+ * step is null for a lattice whose probabilities are the same at every step
+ */
+function findInvalidProbability(params, N) {
+    const lattice = buildLattice(params, N);
+    const names = lattice.branches === 3 ? ['pu', 'pm', 'pd'] : ['p'];
+    const count = lattice.steps ? lattice.steps.length : 1;
+    
+    for (let i = 0; i < count; i++) {
+        const step = getStepParams(lattice, i);
+        for (const name of names) {
+            const value = step[name];
+            if (!(value >= -PROBABILITY_TOLERANCE && value <= 1 + PROBABILITY_TOLERANCE)) {
+                return { name, value, step: lattice.steps ? i : null, dt: lattice.dt };
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Fewest steps above N whose lattice is arbitrage-free, or null if none up to MAX_PRICING_STEPS is
+ * Shrinking the step shrinks the drift per step faster than the volatility move,
+ * so the step count is doubled until the lattice is valid and then bisected
+ */
+function findValidSteps(params, N) {
+    let low = N;
+    let high = Math.min(N * 2, MAX_PRICING_STEPS);
+    
+    while (findInvalidProbability(params, high)) {
+        if (high === MAX_PRICING_STEPS) return null;
+        low = high;
+        high = Math.min(high * 2, MAX_PRICING_STEPS);
+    }
+    
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (findInvalidProbability(params, mid)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    
+    return high;
+}
+
+/**
+ * No-arbitrage check of the lattice for N steps
+ * Returns null when every probability lies in [0, 1]; otherwise the offending
+ * probability with the step count (and step size) that would fix it, and a
+ * message describing both. Expects params that pass validateParams.
+ */
+function checkLattice(params, N = params.N) {
+    const invalid = findInvalidProbability(params, N);
+    if (!invalid) return null;
+    
+    const steps = findValidSteps(params, N);
+    const where = invalid.step === null ? '' : ` at step ${invalid.step}`;
+    let message = `${invalid.name} = ${invalid.value.toFixed(4)}${where} is outside [0, 1] with Δt = ${invalid.dt.toPrecision(4)}, ` +
+        'so the lattice is not arbitrage-free.';
+    message += steps
+        ? ` Use at least ${steps} steps (Δt ≤ ${(params.T / steps).toPrecision(4)}).`
+        : ` No step count up to ${MAX_PRICING_STEPS} fixes it; check the rate, yield and volatility inputs.`;
+    
+    return { ...invalid, N, steps, message };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        validateParams, buildLattice, findInvalidProbability, checkLattice
+    };
+}